@@ -0,0 +1,247 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// headless harness for the DriftController in src/drift.js.
+// a simulated video clock - with a skewed and jittery rate, seeks that take a while to land,
+// and occasional stalls - is driven against session time the way SyncedVideoView drives a real
+// video element, and the resulting drift is measured.
+//
+//   npm run sim                              compare all strategies on all scenarios
+//   npm run sim -- --strategy=pid            just one strategy
+//   npm run sim -- --scenario=stalls         just one scenario
+//   npm run sim -- --seed=7 --minutes=20     vary the random events, or run for longer
+//   npm run sim -- --check                   exit with an error if any result is worse than its limit in LIMITS
+
+import { pathToFileURL } from "node:url";
+import { DriftController } from "../src/drift.js";
+
+const STEP_MS = 20; // simulation step, roughly an animation frame
+const STATUS_CHECK_MS = 100; // as in SyncedVideoView.update()
+const JUMP_CHECK_DELAY = 250; // as in SyncedVideoView.applyPlayState()
+const WARMUP_MS = 5000; // drift in the first seconds after playback starts isn't measured
+
+// properties of the simulated video clock.  skew and jitter are fractions of the playback rate;
+// stalls and user seeks are random events, at the given average frequency.
+export const SCENARIOS = {
+    'steady': { skew: 0.002, jitter: 0.005 },
+    'slow-clock': { skew: -0.02, jitter: 0.005 },
+    'fast-clock': { skew: 0.015, jitter: 0.005 },
+    'jittery': { skew: 0, jitter: 0.05 },
+    'stalls': { skew: 0, jitter: 0.005, stallsPerMinute: 4, stallMS: [200, 1500] },
+    'seeks': { skew: 0.005, jitter: 0.005, seeksPerMinute: 6 },
+    'slow-seeks': { skew: 0, jitter: 0.005, seekLatency: 700, seeksPerMinute: 2 },
+    'double-speed': { skew: 0.01, jitter: 0.01, playbackRate: 2 }
+};
+
+export const STRATEGIES = {
+    step: { strategy: 'step' },
+    pid: { strategy: 'pid' },
+    'step-resync': { strategy: 'step', resyncThreshold: 1000 },
+    'pid-resync': { strategy: 'pid', resyncThreshold: 1000 }
+};
+
+// regression limits for --check (and test/drift.test.js): mean and 95th percentile absolute
+// drift, in ms.  without resyncing, stalls put the video further and further behind, faster
+// than boosts can bring it back.
+export const LIMITS = {
+    step: {
+        'steady': { mean: 40, p95: 70 },
+        'slow-clock': { mean: 190, p95: 220 },
+        'fast-clock': { mean: 170, p95: 200 },
+        'jittery': { mean: 30, p95: 60 },
+        'stalls': { mean: 9500, p95: 17000 },
+        'seeks': { mean: 35, p95: 70 },
+        'slow-seeks': { mean: 170, p95: 600 },
+        'double-speed': { mean: 75, p95: 110 }
+    },
+    pid: {
+        'steady': { mean: 25, p95: 40 },
+        'slow-clock': { mean: 25, p95: 40 },
+        'fast-clock': { mean: 25, p95: 40 },
+        'jittery': { mean: 30, p95: 60 },
+        'stalls': { mean: 9500, p95: 17000 },
+        'seeks': { mean: 35, p95: 65 },
+        'slow-seeks': { mean: 170, p95: 600 },
+        'double-speed': { mean: 30, p95: 45 }
+    }
+};
+LIMITS['step-resync'] = { ...LIMITS.step, 'stalls': { mean: 200, p95: 950 } };
+LIMITS['pid-resync'] = { ...LIMITS.pid, 'stalls': { mean: 290, p95: 1000 } };
+
+// a small seeded PRNG (mulberry32), so that runs are repeatable
+function makeRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// stands in for an HTML video element's clock
+class SimulatedVideo {
+    constructor({ skew = 0, jitter = 0, seekLatency = 150 }, random) {
+        this.skew = skew;
+        this.jitter = jitter;
+        this.seekLatency = seekLatency;
+        this.random = random;
+        this.currentTime = 0;
+        this.playbackRate = 1;
+        this.busyMS = 0; // remaining time of a seek or stall, during which the clock doesn't move
+    }
+
+    // like a video element, currentTime reports the seek target straight away, but the clock
+    // doesn't move again until the seek has completed
+    seek(time) {
+        this.currentTime = time;
+        this.busyMS = this.seekLatency;
+    }
+
+    stall(ms) {
+        this.busyMS = Math.max(this.busyMS, ms);
+    }
+
+    advance(ms) {
+        if (this.busyMS > 0) {
+            this.busyMS -= ms;
+            return;
+        }
+        const wobble = 1 + this.jitter * (this.random() * 2 - 1);
+        this.currentTime += ms / 1000 * this.playbackRate * (1 + this.skew) * wobble;
+    }
+}
+
+function percentile(sorted, p) {
+    return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0;
+}
+
+export function simulate(scenario, controllerOptions, { minutes = 10, seed = 1 } = {}) {
+    const random = makeRandom(seed);
+    const video = new SimulatedVideo(scenario, random);
+    const controller = new DriftController(controllerOptions);
+    const rate = scenario.playbackRate || 1;
+    const endMS = minutes * 60000;
+
+    let startOffset = 0; // session time at which the video would have been at time 0
+    let playStartedAt = 0;
+    let jumpCheckAt = null;
+    let lastStatusCheck = 0;
+    const drifts = [];
+    let jumps = 0, boostChanges = 0;
+
+    // as SyncedVideoView.applyPlayState(), starting playback from the given video time
+    const play = (now, videoTime) => {
+        startOffset = now - 1000 * videoTime / rate;
+        playStartedAt = now;
+        video.playbackRate = rate * (1 + controller.boost * 0.01);
+        video.seek(videoTime + 0.1 * rate);
+        controller.restart(now);
+        jumpCheckAt = now + JUMP_CHECK_DELAY;
+    };
+
+    controller.postpone(500);
+    play(0, 0);
+    for (let now = 0; now < endMS; now += STEP_MS) {
+        video.advance(STEP_MS);
+
+        const minuteFraction = STEP_MS / 60000;
+        if (scenario.stallsPerMinute && random() < scenario.stallsPerMinute * minuteFraction) {
+            const [min, max] = scenario.stallMS;
+            video.stall(min + random() * (max - min));
+        }
+        if (scenario.seeksPerMinute && random() < scenario.seeksPerMinute * minuteFraction) {
+            play(now, random() * endMS / 1000 * rate); // someone in the session seeks
+        }
+        if (jumpCheckAt !== null && now >= jumpCheckAt) {
+            jumpCheckAt = null;
+            controller.armJump();
+        }
+
+        const expectedTime = (now - startOffset) / 1000 * rate;
+        const driftMS = (video.currentTime - expectedTime) * 1000;
+        if (now - playStartedAt >= WARMUP_MS) drifts.push(Math.abs(driftMS));
+
+        if (now - lastStatusCheck >= STATUS_CHECK_MS) {
+            lastStatusCheck = now;
+            if (controller.isDue(now)) {
+                const action = controller.update(now, driftMS);
+                if (action && action.jump) {
+                    jumps++;
+                    video.seek(video.currentTime - driftMS / 1000 + 0.1 * rate);
+                } else if (action) {
+                    boostChanges++;
+                    video.playbackRate = rate * (1 + action.boost * 0.01);
+                }
+            }
+        }
+    }
+
+    const sorted = drifts.slice().sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, d) => sum + d, 0) / (sorted.length || 1);
+    return {
+        mean: Math.round(mean),
+        p95: Math.round(percentile(sorted, 0.95)),
+        max: Math.round(sorted[sorted.length - 1] || 0),
+        jumps,
+        boostChangesPerMinute: Math.round(boostChanges / minutes * 10) / 10
+    };
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        args[key] = value === undefined ? true : value;
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const minutes = Number(args.minutes || 10);
+    const seed = Number(args.seed || 1);
+    const strategies = args.strategy ? [args.strategy] : Object.keys(STRATEGIES);
+    const scenarios = args.scenario ? [args.scenario] : Object.keys(SCENARIOS);
+
+    const rows = [];
+    const failures = [];
+    for (const scenarioName of scenarios) {
+        const scenario = SCENARIOS[scenarioName];
+        if (!scenario) throw Error(`unknown scenario: ${scenarioName}`);
+        for (const strategyName of strategies) {
+            const strategy = STRATEGIES[strategyName];
+            if (!strategy) throw Error(`unknown strategy: ${strategyName}`);
+
+            const result = simulate(scenario, strategy, { minutes, seed });
+            rows.push({ scenario: scenarioName, strategy: strategyName, ...result });
+
+            const limit = LIMITS[strategyName] && LIMITS[strategyName][scenarioName];
+            if (args.check && limit && (result.mean > limit.mean || result.p95 > limit.p95)) {
+                failures.push(`${strategyName} / ${scenarioName}: mean ${result.mean}ms (limit ${limit.mean}), p95 ${result.p95}ms (limit ${limit.p95})`);
+            }
+        }
+    }
+    console.table(rows);
+
+    if (failures.length) {
+        console.error(`drift limits exceeded:\n  ${failures.join('\n  ')}`);
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main(); // not when imported, as by the tests
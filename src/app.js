@@ -0,0 +1,35 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// the standalone app: a single player filling the page, in a session named in the page URL
+
+import { App } from "@croquet/croquet";
+import { mountSyncedPlayer } from "./video.js";
+
+const KEEP_HIDDEN_TABS_ALIVE = false;
+
+function go() {
+    App.messages = true;
+    App.makeWidgetDock();
+
+    const player = mountSyncedPlayer(document.getElementById('player'), {
+        appId: "com.example.video_demo",   // replace with your own appId!
+        autoSleep: !KEEP_HIDDEN_TABS_ALIVE
+    });
+    player.element.focus(); // so that keyboard shortcuts and pasting work straight away
+}
+
+go();
@@ -0,0 +1,142 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// a persistent local cache, in IndexedDB, of the decrypted data of uploaded assets, so that a tab
+// waking up from being dormant, or a session going back to a video it has already played,
+// doesn't fetch and decrypt the whole file again.  data is cached per chunk, keyed by the asset's
+// hash (as from Data.hash) and the chunk index, and is shared by every session of the app in
+// this browser.  once the cache holds more than its limit, the least recently used chunks are
+// evicted.  if IndexedDB can't be used (e.g., in some private browsing modes), every lookup
+// simply misses.
+
+const DB_NAME = 'croquet-video-cache';
+const DB_VERSION = 1;
+const CHUNKS = 'chunks'; // "hash:index" => ArrayBuffer
+const ENTRIES = 'entries'; // { key, size, lastUsed } for each chunk, kept apart so that eviction needn't read the data
+
+// a promise for the result of an IndexedDB request
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+}
+
+export class ChunkCache {
+    constructor(limit) {
+        this.limit = limit; // bytes; 0 turns the cache off
+        this.dbPromise = null;
+    }
+
+    // resolves to the database, or to null if the cache can't be used
+    open() {
+        if (!this.dbPromise) {
+            if (!this.limit || typeof indexedDB === 'undefined') this.dbPromise = Promise.resolve(null);
+            else {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore(CHUNKS);
+                    db.createObjectStore(ENTRIES, { keyPath: 'key' });
+                };
+                this.dbPromise = requestResult(request).catch(err => {
+                    console.warn(`video cache unavailable: ${err}`);
+                    return null;
+                });
+            }
+        }
+        return this.dbPromise;
+    }
+
+    // the cached data of a chunk, or null.  a hit counts as a use, for eviction.
+    async get(hash, index) {
+        const db = await this.open();
+        if (!db) return null;
+
+        const key = `${hash}:${index}`;
+        try {
+            const tx = db.transaction([CHUNKS, ENTRIES], 'readwrite');
+            const done = transactionDone(tx);
+            const data = await requestResult(tx.objectStore(CHUNKS).get(key));
+            if (data) tx.objectStore(ENTRIES).put({ key, size: data.byteLength, lastUsed: Date.now() });
+            await done;
+            return data || null;
+        } catch (err) {
+            console.warn(`video cache read failed: ${err}`);
+            return null;
+        }
+    }
+
+    // add a chunk, evicting others as necessary.  the data is copied when the database is ready,
+    // so a caller that is about to hand the buffer on to something that detaches it (such as
+    // Data.store) must pass a copy.  failures (e.g., from running out of quota) are only logged,
+    // since the cache is just an optimisation.
+    async put(hash, index, data) {
+        if (data.byteLength > this.limit) return;
+        const db = await this.open();
+        if (!db) return;
+
+        const key = `${hash}:${index}`;
+        try {
+            const tx = db.transaction([CHUNKS, ENTRIES], 'readwrite');
+            const done = transactionDone(tx);
+            const chunks = tx.objectStore(CHUNKS), entries = tx.objectStore(ENTRIES);
+            chunks.put(data, key);
+            entries.put({ key, size: data.byteLength, lastUsed: Date.now() });
+
+            const all = await requestResult(entries.getAll()); // includes the new entry
+            let total = all.reduce((sum, entry) => sum + entry.size, 0);
+            all.sort((a, b) => a.lastUsed - b.lastUsed);
+            for (const entry of all) {
+                if (total <= this.limit) break;
+                chunks.delete(entry.key);
+                entries.delete(entry.key);
+                total -= entry.size;
+            }
+            await done;
+        } catch (err) {
+            console.warn(`video cache write failed: ${err}`);
+        }
+    }
+
+    // { chunks, bytes } currently cached
+    async usage() {
+        const db = await this.open();
+        if (!db) return { chunks: 0, bytes: 0 };
+
+        const tx = db.transaction(ENTRIES, 'readonly');
+        const all = await requestResult(tx.objectStore(ENTRIES).getAll());
+        return { chunks: all.length, bytes: all.reduce((sum, entry) => sum + entry.size, 0) };
+    }
+
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+
+        const tx = db.transaction([CHUNKS, ENTRIES], 'readwrite');
+        const done = transactionDone(tx);
+        tx.objectStore(CHUNKS).clear();
+        tx.objectStore(ENTRIES).clear();
+        await done;
+    }
+}
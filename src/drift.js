@@ -0,0 +1,126 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// DriftController decides how to correct a playing video's drift from the shared session time.
+// it has no access to the video element or the DOM: the caller measures the drift, and applies
+// what the controller asks for - either a jump, or a playback boost (a percentage added to the
+// shared playback rate).  this lets it run just the same in the sim/drift-sim.js harness.
+//
+// two strategies are available:
+//   'step' (the default): every adjustInterval, pick a boost from boostSteps according to the
+//       size of the drift, with hysteresis on the way back to zero boost.
+//   'pid': every check, set the boost from a proportional/integral/derivative function of the
+//       drift, clamped to +/- pid.maxPercent.
+// with either strategy, the first check after armJump() jumps the video if it is more than
+// jumpThreshold ms out.  resyncing - any check jumping the video if it is more than
+// resyncThreshold ms out, e.g. after a stall - is opt-in: the defaults reproduce the original
+// fixed rules, which left a stalled video to catch up through boosts alone.
+
+export const DEFAULT_DRIFT_OPTIONS = {
+    strategy: 'step',
+    checkInterval: 500, // ms between timing checks
+    jumpThreshold: 500, // ms
+    resyncThreshold: Infinity, // ms; beyond this, any check jumps the video.  off unless set (1000 works well)
+    adjustInterval: 3000, // ms between boost changes (step strategy)
+    boostSteps: [{ above: 150, percent: 3 }, { above: 50, percent: 1 }], // in decreasing order of drift
+    hysteresis: 25, // ms; a boost is only removed once the drift is below this
+    pid: { kp: 0.01, ki: 0.004, kd: 0, maxPercent: 3, resolution: 0.5 } // gains are in percent per ms of drift (per second, for ki; per ms/s for kd); boosts are rounded to multiples of resolution
+};
+
+export class DriftController {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_DRIFT_OPTIONS, ...options, pid: { ...DEFAULT_DRIFT_OPTIONS.pid, ...options.pid } };
+        this.boost = 0; // percent
+        this.lastCheck = 0;
+        this.restart(0);
+    }
+
+    // playback has (re)started, possibly from a new position.  no boost changes are made until
+    // adjustInterval has passed, and no jump unless armJump() is called.
+    restart(now) {
+        this.lastAdjust = now;
+        this.jumpArmed = false;
+        this.integral = 0;
+        this.lastError = null;
+    }
+
+    // make the next check jump the video if it's far enough out
+    armJump() { this.jumpArmed = true; }
+
+    // hold off checking until the given time, e.g. to let a newly loaded video settle
+    postpone(until) { this.lastCheck = until; }
+
+    isDue(now) { return now - this.lastCheck >= this.options.checkInterval; }
+
+    // driftMS is how far the video is *ahead* of the shared time, or null if this check's
+    // measurement can't be trusted (e.g., because it straddles a loop restart).
+    // returns null if nothing is to be done, { jump: true } if the video should be moved to
+    // the shared time, or { boost } with a new boost percentage.
+    update(now, driftMS) {
+        this.lastCheck = now;
+        if (driftMS === null) return null;
+
+        if (this.jumpArmed) {
+            this.jumpArmed = false;
+            return Math.abs(driftMS) > this.options.jumpThreshold ? { jump: true } : null;
+        }
+        if (Math.abs(driftMS) > this.options.resyncThreshold) return { jump: true };
+
+        const boost = this.options.strategy === 'pid' ? this.pidBoost(now, driftMS) : this.stepBoost(now, driftMS);
+        if (boost === null || boost === this.boost) return null;
+
+        this.boost = boost;
+        return { boost };
+    }
+
+    stepBoost(now, driftMS) {
+        const { adjustInterval, boostSteps, hysteresis } = this.options;
+        if (now - this.lastAdjust < adjustInterval) return null;
+
+        this.lastAdjust = now;
+        const diffAbs = Math.abs(driftMS), diffSign = Math.sign(driftMS);
+        const step = boostSteps.find(s => diffAbs > s.above);
+        const desired = step ? -diffSign * step.percent : 0;
+        // apply hysteresis on the switch to boost=0.
+        // for example, if old boost was +ve (because video was lagging),
+        // and drift is -ve (i.e., it's still lagging),
+        // and the magnitude (of the lag) is greater than the hysteresis,
+        // don't remove the boost yet.
+        if (desired === 0 && Math.sign(this.boost) === -diffSign && diffAbs >= hysteresis) return null;
+        return desired;
+    }
+
+    pidBoost(now, driftMS) {
+        const { kp, ki, kd, maxPercent, resolution } = this.options.pid;
+        const dt = (now - this.lastAdjust) / 1000;
+        this.lastAdjust = now;
+        if (dt <= 0) return null;
+
+        const error = -driftMS; // +ve means the video needs to speed up
+        const derivative = this.lastError === null ? 0 : (error - this.lastError) / dt;
+        this.lastError = error;
+        // clamp the integral so that it alone can't demand more than the maximum boost
+        const integralLimit = ki ? maxPercent / ki : 0;
+        this.integral = Math.max(-integralLimit, Math.min(integralLimit, this.integral + error * dt));
+
+        const output = kp * error + ki * this.integral + kd * derivative;
+        const clamped = Math.max(-maxPercent, Math.min(maxPercent, output));
+        // avoid nudging the rate for negligible changes: keep the current boost unless the
+        // output has moved at least a whole resolution step away from it
+        if (Math.abs(clamped - this.boost) < resolution) return this.boost;
+        return Math.round(clamped / resolution) * resolution;
+    }
+}
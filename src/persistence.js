@@ -0,0 +1,146 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// the format of the data that SyncedVideoModel persists with persistSession(), its conversion
+// to and from the model's state, and the migrations that bring data persisted by earlier
+// versions of the app up to date.  these are plain functions of plain data, because they run
+// inside the model.
+//
+// the current format (version 6):
+//   {
+//     version: 6,
+//     playlist: [{ hash, type, mime, size, name, chunkSize, chunkCount, url, source, alternates }], // in playlist order; url only for URL assets
+//         // mime is the type with codecs, where known; source is { hash, start, end } for a clip;
+//         // alternates are other encodings, in the same form
+//     currentIndex, // index in the playlist of the current entry, or -1 if there is none
+//     handles: [[hash, id or [ids]]], // data handle ids (as from Data.toId) of every stored file
+//     positions: [[hash, seconds]], // the last paused position in each asset
+//     playbackRate, endMode, waitForEveryone,
+//     loopRange, // { start, end } in the current asset, or null
+//     annotations: [[hash, [{ time, x, y, text }]]],
+//     captions: [[hash, [{ name, language, handle: id }]]],
+//     angles: [[hash, [{ asset, offset }]]] // other camera angles of a video; asset is in the same form as a playlist item
+//   }
+// a chunked asset's id array has null for each chunk that hadn't been stored when the session
+// was persisted.
+//
+// an uploaded asset's hash is that of its chunks' hashes (see SyncedVideoView.upload), but an
+// unchunked file uploaded by the original app (in version 0 data) keeps the hash of its whole
+// contents.  uploading the same file again doesn't recognise it as one of those: it is stored
+// afresh, as a separate asset without the earlier one's notes and captions.
+
+export const PERSISTED_VERSION = 6;
+
+// MIGRATIONS[n] converts data in version n to version n + 1
+const MIGRATIONS = [
+    // 0 => 1: the original app had a single asset, always persisted as the current one
+    ({ asset, handles }) => ({ asset, playlist: asset ? [asset] : [], handles: handles || [] }),
+
+    // 1 => 2: a version number, the position of the current entry (which version 1 only
+    // recorded as a copy of its asset), paused positions and playback settings
+    ({ asset, playlist, handles, annotations, captions }) => ({
+        version: 2,
+        playlist,
+        currentIndex: asset ? Math.max(0, playlist.findIndex(meta => meta.hash === asset.hash)) : (playlist.length ? 0 : -1),
+        handles,
+        positions: [],
+        playbackRate: 1,
+        endMode: 'advance',
+        loopRange: null,
+        annotations: annotations || [],
+        captions: captions || []
+    }),
+
+    // 2 => 3: upload fingerprints
+    data => ({ ...data, version: 3, fingerprints: [] }),
+
+    // 3 => 4: wait mode
+    data => ({ ...data, version: 4, waitForEveryone: false }),
+
+    // 4 => 5: camera angles
+    data => ({ ...data, version: 5, angles: [] }),
+
+    // 5 => 6: upload fingerprints are no longer kept, since a file is only recognised as one
+    // uploaded before by the hash of all its chunks
+    ({ fingerprints, ...data }) => ({ ...data, version: 6 })
+];
+
+// version 1 had no version number, but can be recognised by its playlist
+function versionOf(data) {
+    if (data.version) return data.version;
+    return data.playlist ? 1 : 0;
+}
+
+// bring persisted data of any version up to PERSISTED_VERSION
+export function migratePersistedData(data) {
+    let version = versionOf(data);
+    if (version > PERSISTED_VERSION) throw Error(`persisted session has version ${version}, but this app only understands up to ${PERSISTED_VERSION}`);
+
+    while (version < PERSISTED_VERSION) data = MIGRATIONS[version++](data);
+    return data;
+}
+
+// the data to persist for the given parts of the model's state (see SyncedVideoModel.getEverything),
+// where handleId turns a data handle into its id (as Data.toId does)
+export function persistedData(state, handleId) {
+    const { playlist, currentIndex, handles, positions, playbackRate, endMode, waitForEveryone, loopRange, annotations, captions, angles } = state;
+    const assetMeta = ({ hash, type, mime, size, name, chunkSize, chunkCount, url, source, alternates }) => ({ hash, type, mime, size, name, chunkSize, chunkCount, url, source, alternates: alternates && alternates.map(assetMeta) });
+    const toId = handle => handle && handleId(handle);
+    return {
+        version: PERSISTED_VERSION,
+        playlist: playlist.map(assetMeta),
+        currentIndex,
+        handles: Object.entries(handles).map(([hash, handle]) => [hash, Array.isArray(handle) ? handle.map(toId) : toId(handle)]),
+        positions: Object.entries(positions),
+        playbackRate,
+        endMode,
+        waitForEveryone,
+        loopRange,
+        annotations: Object.entries(annotations).map(([hash, list]) => [hash, list.map(({ time, x, y, text }) => ({ time, x, y, text }))]),
+        captions: Object.entries(captions).map(([hash, list]) => [hash, list.map(({ name, language, handle }) => ({ name, language, handle: toId(handle) }))]),
+        angles: Object.entries(angles).map(([hash, list]) => [hash, list.map(({ asset, offset }) => ({ asset: assetMeta(asset), offset }))])
+    };
+}
+
+// the parts of the model's state held in persisted data of any version - in the same form as
+// persistedData takes them, less the ids that the model assigns - where handleFromId turns an
+// id back into a data handle (as Data.fromId does).  an asset stored as a single file is given
+// its handle; the model links up a chunked asset's array of chunk handles itself.
+export function restoredState(data, handleFromId) {
+    data = migratePersistedData(data);
+    const fromId = id => id && handleFromId(id);
+    const handles = Object.fromEntries(data.handles.map(([hash, ids]) => [hash, Array.isArray(ids) ? ids.map(fromId) : fromId(ids)]));
+    const restoreAsset = meta => {
+        const asset = { ...meta };
+        const handle = handles[asset.hash];
+        if (!asset.chunkCount && handle && !Array.isArray(handle)) asset.handle = handle;
+        if (meta.alternates) asset.alternates = meta.alternates.map(restoreAsset);
+        return asset;
+    };
+    return {
+        playlist: data.playlist.map(restoreAsset),
+        currentIndex: data.currentIndex,
+        handles, // of every stored file, including any no longer on the playlist
+        positions: Object.fromEntries(data.positions),
+        playbackRate: data.playbackRate,
+        endMode: data.endMode,
+        waitForEveryone: !!data.waitForEveryone,
+        loopRange: data.loopRange,
+        annotations: Object.fromEntries(data.annotations),
+        captions: Object.fromEntries(data.captions.map(([hash, list]) => [hash, list.map(({ name, language, handle }) => ({ name, language, handle: fromId(handle) }))])),
+        angles: Object.fromEntries(data.angles.map(([hash, list]) => [hash, list.map(({ asset, offset }) => ({ asset: restoreAsset(asset), offset }))]))
+    };
+}
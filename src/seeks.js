@@ -0,0 +1,44 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// telling the seeks that the player makes on a video element from those made by anything else,
+// such as the browser's own video controls.  the player records where it last put the video
+// (Video2DView.seekTarget); a seek that lands far from there came from outside - unless the
+// element was simply looping back to the start by itself.  this only needs the element's
+// events and properties, so it can be exercised headlessly (see test/seeks.test.js).
+
+export const NATIVE_SEEK_TOLERANCE = 0.5; // seconds from where the player last put the video beyond which a seek must have come from the browser's own controls
+export const LOOP_RESTART_TOLERANCE = 1; // seconds from the end within which the video was last seen, and from the start within which it lands, for a seek to count as the element looping
+
+// whether a seek from previousTime to time is the element looping back to the start by itself
+export function isLoopRestart({ loop, duration }, previousTime, time) {
+    return loop && time < LOOP_RESTART_TOLERANCE && previousTime > duration - LOOP_RESTART_TOLERANCE;
+}
+
+// call onSeek(time) for every seek of videoView's element that the player didn't make itself
+export function watchForeignSeeks(videoView, onSeek) {
+    const { video } = videoView;
+    let previousTime = video.currentTime;
+    video.addEventListener('timeupdate', () => previousTime = video.currentTime);
+    video.addEventListener('seeking', () => {
+        if (isLoopRestart(video, previousTime, video.currentTime)) videoView.seekTarget = video.currentTime; // as good as one of ours
+    });
+    video.addEventListener('seeked', () => {
+        previousTime = video.currentTime;
+        if (videoView.seekTarget === null || Math.abs(video.currentTime - videoView.seekTarget) < NATIVE_SEEK_TOLERANCE) return;
+        onSeek(video.currentTime);
+    });
+}
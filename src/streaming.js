@@ -0,0 +1,318 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+import MP4Box from "mp4box";
+
+export const CHUNK_SIZE = 4 * 1024 * 1024; // bytes per separately stored chunk of an uploaded file
+
+// the MIME types of adaptive streaming manifests, which are played through hls.js or dash.js
+export const HLS_TYPE = 'application/vnd.apple.mpegurl';
+export const DASH_TYPE = 'application/dash+xml';
+
+const URL_TYPES = [
+    [/\.m3u8$/i, HLS_TYPE],
+    [/\.mpd$/i, DASH_TYPE],
+    [/\.(mp4|m4v)$/i, 'video/mp4'],
+    [/\.webm$/i, 'video/webm'],
+    [/\.og[gv]$/i, 'video/ogg'],
+    [/\.mov$/i, 'video/quicktime'],
+    [/\.mp3$/i, 'audio/mpeg'],
+    [/\.m4a$/i, 'audio/mp4'],
+    [/\.(oga|opus)$/i, 'audio/ogg'],
+    [/\.wav$/i, 'audio/wav']
+];
+
+const MP4_TYPES = ['video/mp4', 'audio/mp4', 'video/quicktime']; // ISO BMFF files, which mp4box.js can parse
+
+const BUFFER_AHEAD = 30; // seconds of media we try to keep appended ahead of the playhead
+const BUFFER_BEHIND = 20; // seconds behind the playhead that survive trimming
+const SAMPLES_PER_SEGMENT = 100;
+
+// whether an asset of this type can be fed progressively through MediaSource.
+// mp4box.js only handles ISO BMFF files, so anything else has to be fetched in full.
+export function canStream(type) {
+    return typeof MediaSource !== 'undefined' && (type === 'video/mp4' || type === 'audio/mp4');
+}
+
+// the full MIME type, with codecs, of an mp4 file, found by parsing the given parts of it:
+// [{ data, fileStart }], in file order.  the moov box that lists the codecs is almost always in
+// the first or last few MB of a file.  returns the plain type if it isn't an mp4 file, or if
+// the parts don't include the moov box.
+export function fullMediaType(type, parts) {
+    if (!MP4_TYPES.includes(type)) return type;
+
+    let mime = type;
+    const mp4 = MP4Box.createFile();
+    mp4.onReady = info => { mime = `${type}; codecs="${info.tracks.map(track => track.codec).join(',')}"`; };
+    mp4.onError = () => { /* just not parseable */ };
+    try {
+        for (const { data, fileStart } of parts) {
+            data.fileStart = fileStart;
+            mp4.appendBuffer(data);
+            if (mime !== type) break;
+        }
+    } catch (e) { /* stick with the plain type */ }
+    return mime;
+}
+
+// whether this browser expects to be able to play media of the given (full) MIME type.
+// the type of a URL asset can be unknown (""), in which case it's worth a try.
+export function canPlayMedia(mime) {
+    if (!mime) return true;
+
+    const video = document.createElement('video');
+    if (isManifestType(mime)) return typeof MediaSource !== 'undefined' || !!video.canPlayType(mime);
+    if (video.canPlayType(mime)) return true;
+    return canStream(mime.split(';')[0]) && MediaSource.isTypeSupported(mime.replace(/^audio\//, 'video/')); // as a ChunkedMediaStream would play it
+}
+
+// the media type of a video URL, going by its extension.  "" if unknown, in which case the
+// browser is left to work it out.
+export function mediaTypeForURL(url) {
+    const { pathname } = new URL(url);
+    const match = URL_TYPES.find(([pattern]) => pattern.test(pathname));
+    return match ? match[1] : '';
+}
+
+export function isManifestType(type) {
+    return type === HLS_TYPE || type === DASH_TYPE;
+}
+
+// ChunkedMediaStream plays a file that was uploaded as a sequence of separately stored chunks.
+// mp4box.js parses whatever chunks we feed it, and rewrites their samples as fragmented mp4
+// segments that are appended to one SourceBuffer per track.  chunks are fetched (through
+// the supplied fetchChunk(index, signal) function) only as far ahead of the playhead as needed,
+// and a seek restarts fetching from the chunk holding the sample data for the new position.
+// disposing of the stream aborts the signal, so that a fetch still waiting for its chunk (e.g.,
+// because it hasn't been uploaded yet) can give up rather than keep the stream alive.
+export class ChunkedMediaStream {
+    constructor({ size, chunkSize, chunkCount }, fetchChunk) {
+        this.size = size;
+        this.chunkSize = chunkSize;
+        this.chunkCount = chunkCount;
+        this.fetchChunk = fetchChunk;
+
+        this.video = null;
+        this.tracks = []; // { id, sourceBuffer, queue }
+        this.isReady = false; // set once mp4box has parsed the moov box
+        this.nextPosition = 0; // file position the parser needs next, until ready
+        this.nextChunk = 0; // once ready, index of the next chunk to fetch
+        this.fetching = false;
+        this.disposed = false;
+        this.fetchAborter = new AbortController();
+
+        this.mediaSource = new MediaSource();
+        this.url = URL.createObjectURL(this.mediaSource);
+        this.sourceOpen = new Promise(resolve => this.mediaSource.addEventListener('sourceopen', resolve, { once: true }));
+
+        const mp4 = this.mp4 = MP4Box.createFile();
+        mp4.onReady = info => this.onReady(info);
+        mp4.onSegment = (id, track, buffer, sampleNumber, isLast) => this.enqueue(track, { buffer, sampleNumber, isLast });
+        mp4.onError = err => console.warn(`mp4 parsing error: ${err}`);
+    }
+
+    attach(video) {
+        this.video = video;
+        this.onSeeking = () => this.seek(video.currentTime);
+        this.onTimeUpdate = () => this.fillBuffer();
+        video.addEventListener('seeking', this.onSeeking);
+        video.addEventListener('timeupdate', this.onTimeUpdate);
+        this.sourceOpen.then(() => this.fillBuffer());
+    }
+
+    onReady(info) {
+        if (this.disposed) return;
+
+        this.mediaSource.duration = info.duration / info.timescale;
+        for (const trackInfo of info.tracks) {
+            const mime = `video/mp4; codecs="${trackInfo.codec}"`;
+            if (!MediaSource.isTypeSupported(mime)) {
+                console.warn(`skipping unsupported track: ${mime}`);
+                continue;
+            }
+            const track = { id: trackInfo.id, sourceBuffer: this.mediaSource.addSourceBuffer(mime), queue: [] };
+            track.sourceBuffer.addEventListener('updateend', () => this.pump(track));
+            this.mp4.setSegmentOptions(track.id, track, { nbSamples: SAMPLES_PER_SEGMENT });
+            this.tracks.push(track);
+        }
+        for (const { user: track, buffer } of this.mp4.initializeSegmentation()) this.enqueue(track, { buffer });
+        this.isReady = true;
+        this.mp4.start();
+        this.seek(this.video ? this.video.currentTime : 0);
+    }
+
+    // find the chunk holding the sample data for the given time, and carry on fetching from there
+    seek(time) {
+        if (!this.isReady || this.disposed) return;
+
+        const { offset } = this.mp4.seek(time, true); // true => from the preceding random access point
+        this.nextChunk = Math.min(this.chunkCount, Math.floor(offset / this.chunkSize));
+        this.fillBuffer();
+    }
+
+    bufferedAhead() {
+        const { buffered, currentTime } = this.video;
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= currentTime && buffered.end(i) >= currentTime) return buffered.end(i) - currentTime;
+        }
+        return 0;
+    }
+
+    async fillBuffer() {
+        if (this.fetching || this.disposed || !this.video) return;
+
+        this.fetching = true;
+        try {
+            while (!this.disposed) {
+                let index;
+                if (!this.isReady) {
+                    // still looking for the moov box, which might be at the end of the file
+                    if (this.nextPosition >= this.size) break;
+                    index = Math.floor(this.nextPosition / this.chunkSize);
+                } else {
+                    if (this.nextChunk >= this.chunkCount || this.bufferedAhead() >= BUFFER_AHEAD) break;
+                    index = this.nextChunk++;
+                }
+
+                const data = await this.fetchChunk(index, this.fetchAborter.signal);
+                if (this.disposed) break;
+
+                data.fileStart = index * this.chunkSize;
+                const next = this.mp4.appendBuffer(data);
+                if (!this.isReady) this.nextPosition = next > data.fileStart ? next : data.fileStart + data.byteLength;
+                else if (this.nextChunk >= this.chunkCount) this.mp4.flush(); // no more data to come, unless we seek
+
+                await this.appended(); // let the video element catch up before measuring what's buffered
+            }
+        } catch (err) {
+            if (!this.disposed) console.error(err); // otherwise, just the fetch being aborted
+        } finally {
+            this.fetching = false;
+        }
+    }
+
+    enqueue(track, segment) {
+        track.queue.push(segment);
+        this.pump(track);
+    }
+
+    pump(track) {
+        const { sourceBuffer, queue } = track;
+        if (this.disposed || sourceBuffer.updating) return;
+
+        const currentTime = this.video ? this.video.currentTime : 0;
+        if (currentTime > BUFFER_BEHIND && sourceBuffer.buffered.length && sourceBuffer.buffered.start(0) < currentTime - BUFFER_BEHIND) {
+            sourceBuffer.remove(0, currentTime - BUFFER_BEHIND); // pump is called again on updateend
+            return;
+        }
+
+        const segment = queue.shift();
+        if (segment) {
+            try {
+                sourceBuffer.appendBuffer(segment.buffer); // reopens the source if it had been ended, e.g. when looping back to the start
+                if (segment.sampleNumber !== undefined) this.mp4.releaseUsedSamples(track.id, segment.sampleNumber);
+            } catch (err) { console.warn(`failed to append segment: ${err}`); }
+            if (segment.isLast) track.ended = true;
+        } else if (this.tracks.every(t => t.ended && !t.queue.length && !t.sourceBuffer.updating) && this.mediaSource.readyState === 'open') {
+            this.mediaSource.endOfStream();
+            this.tracks.forEach(t => t.ended = false); // a later seek will generate new segments
+        }
+        if (this.onAppended && this.tracks.every(t => !t.queue.length)) {
+            this.onAppended();
+            this.onAppended = null;
+        }
+    }
+
+    appended() {
+        if (this.tracks.every(t => !t.queue.length)) return Promise.resolve();
+        return new Promise(resolve => this.onAppended = resolve);
+    }
+
+    // another stream of the same asset, e.g. for a second video element
+    twin() {
+        return new ChunkedMediaStream(this, this.fetchChunk);
+    }
+
+    dispose() {
+        if (this.disposed) return;
+
+        this.disposed = true;
+        if (this.video) {
+            this.video.removeEventListener('seeking', this.onSeeking);
+            this.video.removeEventListener('timeupdate', this.onTimeUpdate);
+        }
+        this.fetchAborter.abort();
+        if (this.onAppended) this.onAppended();
+        try {
+            this.mp4.stop();
+            if (this.mediaSource.readyState === 'open') this.mediaSource.endOfStream();
+        } catch (e) { /* nothing more to be done */ }
+        URL.revokeObjectURL(this.url);
+    }
+}
+
+// ManifestStream plays an HLS or DASH manifest through MediaSource, using hls.js or dash.js
+// (each loaded only when first needed).  the player sets the video element's src itself, so
+// unlike a ChunkedMediaStream this has no url.
+export class ManifestStream {
+    constructor(manifestURL, type) {
+        this.manifestURL = manifestURL;
+        this.type = type;
+        this.url = null;
+        this.player = null;
+        this.disposed = false;
+    }
+
+    async attach(video) {
+        try {
+            if (this.type === HLS_TYPE) {
+                const { default: Hls } = await import("hls.js");
+                if (this.disposed) return;
+
+                if (!Hls.isSupported()) {
+                    video.src = this.manifestURL; // e.g. iOS Safari, which has no MediaSource but plays HLS natively
+                    return;
+                }
+                const hls = this.player = new Hls();
+                hls.on(Hls.Events.ERROR, (_event, data) => { if (data.fatal) console.warn(`HLS error: ${data.type} / ${data.details}`); });
+                hls.loadSource(this.manifestURL);
+                hls.attachMedia(video);
+            } else {
+                const { default: dashjs } = await import("dashjs");
+                if (this.disposed) return;
+
+                const player = this.player = dashjs.MediaPlayer().create();
+                player.on(dashjs.MediaPlayer.events.ERROR, event => console.warn(`DASH error: ${JSON.stringify(event.error)}`));
+                player.initialize(video, this.manifestURL, false); // false => no autoplay; playback is up to the Video2DView
+            }
+        } catch (err) { console.error(err); }
+    }
+
+    twin() {
+        return new ManifestStream(this.manifestURL, this.type);
+    }
+
+    dispose() {
+        if (this.disposed) return;
+
+        this.disposed = true;
+        if (!this.player) return;
+        try {
+            if (this.type === HLS_TYPE) this.player.destroy();
+            else this.player.reset();
+        } catch (e) { /* nothing more to be done */ }
+        this.player = null;
+    }
+}
@@ -0,0 +1,513 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// the markup and styles of a synced video player.  each player puts its own copy in a shadow
+// root, so the ids here only have to be unique within a player, and the styles don't leak into
+// (or get overridden by) the page that embeds it.
+
+import playIcon from "../assets/play-button-grey.svg";
+import soundOnIcon from "../assets/sound-on-grey.svg";
+import pointingHandIcon from "../assets/pointing-hand-grey.svg";
+
+export const PLAYER_TEMPLATE = `
+<style>
+    :host {
+        display: block;
+        position: relative;
+        overflow: hidden;
+        font: 12px sans-serif;
+        background: #999;
+    }
+    #container {
+        background-color: #444;
+        position: absolute;
+        left: 5%;
+        top: 5%;
+        width: 90%;
+        height: 90%;
+        overflow: hidden;
+        touch-action: none;
+    }
+    #container video {
+        width: 100%;
+        height: 90%;
+        position: absolute;
+        top: 10%;
+        pointer-events: none;
+    }
+    #container canvas {
+        background-color: white;
+        position: absolute;
+        top: 2.5%;
+        left: 5%;
+        height: 5%;
+        width: 90%;
+        z-index: 10;
+        touch-action: none;
+    }
+    #play, #soundon {
+        position: absolute;
+        top: 35%;
+        left: 35%;
+        width: 30%;
+        height: 30%;
+        opacity: 0;
+        z-index: 30;
+        pointer-events: none;
+    }
+    #remotehand {
+        position: absolute;
+        height: 15%;
+        width: auto;
+        opacity: 0;
+        z-index: 40;
+        overflow: visible;
+        pointer-events: none;
+    }
+    #playlist {
+        display: none;
+        position: absolute;
+        top: 12%;
+        right: 1%;
+        width: 25%;
+        max-height: 60%;
+        overflow-y: auto;
+        padding: 4px;
+        background-color: rgba(0, 0, 0, 0.6);
+        color: white;
+        z-index: 35;
+    }
+    #playlist ol {
+        margin: 4px 0;
+        padding-left: 20px;
+    }
+    #playlist li span {
+        cursor: pointer;
+        margin-right: 4px;
+    }
+    #playlist li.current {
+        font-weight: bold;
+    }
+    #playlist li.pending {
+        opacity: 0.6;
+    }
+    #playlist button {
+        font-size: 10px;
+        padding: 0 3px;
+    }
+    #speed, #endmode {
+        position: absolute;
+        top: 2.5%;
+        width: 4%;
+        height: 5%;
+        font-size: 10px;
+        z-index: 35;
+    }
+    #speed {
+        right: 0.5%;
+    }
+    #endmode {
+        left: 0.5%;
+    }
+    #roster {
+        position: absolute;
+        top: 12%;
+        left: 1%;
+        max-height: 60%;
+        overflow-y: auto;
+        padding: 4px;
+        background-color: rgba(0, 0, 0, 0.6);
+        color: white;
+        z-index: 35;
+    }
+    #history {
+        display: none;
+        position: absolute;
+        bottom: 11%;
+        left: 1%;
+        max-width: 30%;
+        max-height: 35%;
+        overflow-y: auto;
+        padding: 4px;
+        background-color: rgba(0, 0, 0, 0.6);
+        color: white;
+        z-index: 35;
+    }
+    #history .header {
+        display: inline;
+        cursor: pointer;
+    }
+    #history .header::after {
+        content: " \\25b8";
+    }
+    #history.expanded .header::after {
+        content: " \\25be";
+    }
+    #history button {
+        margin-left: 6px;
+        font-size: 10px;
+        padding: 0 3px;
+    }
+    #history ol {
+        margin: 4px 0 0;
+        padding-left: 0;
+        list-style: none;
+    }
+    #history li {
+        cursor: pointer;
+    }
+    #history li.undone {
+        text-decoration: line-through;
+        opacity: 0.6;
+    }
+    #container.locked #history li {
+        cursor: default;
+    }
+    #roster .header {
+        cursor: pointer;
+    }
+    #roster .header::after {
+        content: " \\25b8";
+    }
+    #roster.expanded .header::after {
+        content: " \\25be";
+    }
+    #roster th, #roster td {
+        padding: 0 6px;
+        text-align: left;
+    }
+    #roster button {
+        font-size: 10px;
+        padding: 0 3px;
+    }
+    #roster tr.unhealthy {
+        color: #ff8888;
+    }
+    #container canvas:focus-visible {
+        outline: 2px solid #ffcc00;
+        outline-offset: 2px;
+    }
+    #container.locked #timebar, #container.locked #playlist button, #container.locked #playlist li span {
+        opacity: 0.5;
+        cursor: not-allowed;
+    }
+    #captions {
+        display: none;
+        position: absolute;
+        bottom: 1%;
+        right: 8%;
+        font-size: 10px;
+        z-index: 35;
+    }
+    #angles {
+        position: absolute;
+        left: 0;
+        top: 0;
+        width: 100%;
+        height: 100%;
+        pointer-events: none;
+    }
+    #angles .angle {
+        position: absolute;
+        background-color: black;
+        z-index: 1;
+    }
+    #angles .angle video {
+        top: 0;
+        height: 100%;
+    }
+    #angles .bar {
+        position: absolute;
+        left: 0;
+        bottom: 0;
+        padding: 2px 4px;
+        font-size: 10px;
+        background-color: rgba(0, 0, 0, 0.6);
+        color: white;
+        pointer-events: auto;
+    }
+    #angles .bar button {
+        margin-left: 4px;
+        font-size: 10px;
+        padding: 0 3px;
+    }
+    #anglelayout {
+        display: none;
+        position: absolute;
+        bottom: 6%;
+        right: 16%;
+        font-size: 10px;
+        z-index: 35;
+    }
+    #container #telestration {
+        display: none;
+        background-color: transparent;
+        z-index: 20;
+        pointer-events: none;
+    }
+    #container #telestration.drawing {
+        pointer-events: auto;
+        cursor: crosshair;
+    }
+    #drawtools {
+        position: absolute;
+        bottom: 11%;
+        right: 1%;
+        font-size: 10px;
+        z-index: 35;
+    }
+    #drawtools select, #drawtools button {
+        font-size: 10px;
+    }
+    #drawtools input {
+        width: 20px;
+        height: 16px;
+        padding: 0;
+        vertical-align: middle;
+    }
+    #drawtools .draw.active {
+        background-color: #ffcc00;
+    }
+    #pointers {
+        position: absolute;
+        left: 0;
+        top: 0;
+        width: 100%;
+        height: 100%;
+        overflow: hidden;
+        z-index: 28;
+        pointer-events: none;
+    }
+    #pointers .pointer {
+        position: absolute;
+        width: 10px;
+        height: 10px;
+        margin: -5px 0 0 -5px;
+        border-radius: 50%;
+        background-color: var(--pointer-color);
+        transition: opacity 0.5s;
+    }
+    #pointers .pointer span {
+        position: absolute;
+        left: 12px;
+        top: 6px;
+        padding: 0 3px;
+        white-space: nowrap;
+        font-size: 10px;
+        color: white;
+        background-color: var(--pointer-color);
+    }
+    #uploads {
+        display: none;
+        position: absolute;
+        bottom: 1%;
+        left: 30%;
+        width: 40%;
+        padding: 4px;
+        background-color: rgba(0, 0, 0, 0.6);
+        color: white;
+        z-index: 35;
+    }
+    #uploads .failed {
+        color: #ff8888;
+    }
+    #uploads button {
+        font-size: 10px;
+        padding: 0 3px;
+    }
+    #playability {
+        display: none;
+        position: absolute;
+        top: 6%;
+        left: 25%;
+        width: 50%;
+        padding: 4px;
+        text-align: center;
+        background-color: rgba(160, 40, 40, 0.8);
+        color: white;
+        z-index: 35;
+    }
+    #waiting {
+        display: none;
+        position: absolute;
+        top: 45%;
+        left: 35%;
+        width: 30%;
+        padding: 4px;
+        text-align: center;
+        background-color: rgba(0, 0, 0, 0.6);
+        color: white;
+        z-index: 35;
+    }
+    #thumbnail {
+        display: none;
+        position: absolute;
+        padding: 2px;
+        background-color: rgba(0, 0, 0, 0.8);
+        color: white;
+        text-align: center;
+        z-index: 45;
+        pointer-events: none;
+    }
+    #thumbnail canvas {
+        position: static;
+        display: block;
+        width: auto;
+        height: auto;
+        background-color: black;
+    }
+    #screenmodes {
+        position: absolute;
+        top: 8%;
+        left: 5%;
+        z-index: 35;
+    }
+    #screenmodes button {
+        font-size: 10px;
+        padding: 0 3px;
+    }
+    #zoom {
+        display: none;
+        position: absolute;
+        top: 8%;
+        left: 30%;
+        padding: 2px 4px;
+        font-size: 10px;
+        color: white;
+        background-color: rgba(0, 0, 0, 0.6);
+        z-index: 35;
+    }
+    #zoom button {
+        margin-left: 4px;
+        font-size: 10px;
+        padding: 0 3px;
+    }
+    #keepplaying {
+        position: absolute;
+        top: 8%;
+        right: 0.5%;
+        font-size: 10px;
+        color: white;
+        z-index: 35;
+    }
+    #addnote, #addurl, #clip {
+        position: absolute;
+        right: 1%;
+        z-index: 35;
+    }
+    #addnote {
+        bottom: 1%;
+    }
+    #addurl {
+        bottom: 6%;
+    }
+    #clip {
+        right: 8%;
+        bottom: 6%;
+    }
+    #annotations {
+        position: absolute;
+        left: 0;
+        top: 0;
+        width: 100%;
+        height: 100%;
+        z-index: 25;
+        pointer-events: none;
+    }
+    #annotations .annotation {
+        position: absolute;
+        max-width: 30%;
+        padding: 4px 8px;
+        background-color: rgba(255, 204, 0, 0.9);
+        border-radius: 4px;
+        pointer-events: auto;
+    }
+    #annotations .annotation button {
+        margin-left: 6px;
+        font-size: 9px;
+        padding: 0 2px;
+    }
+    #prompt {
+        position: absolute;
+        top: 40%;
+        left: 20%;
+        width: 60%;
+        font-size: 4vh;
+        text-align: center;
+        color: white;
+        opacity: 1;
+        z-index: 40;
+        pointer-events: none;
+    }
+</style>
+    <div id="container" touch-action="none">
+        <canvas id="timebar" touch-action="none"></canvas>
+        <object id="play" type="image/svg+xml" data="${playIcon}"></object>
+        <object id="soundon" type="image/svg+xml" data="${soundOnIcon}"></object>
+        <object id="remotehand" type="image/svg+xml" data="${pointingHandIcon}"></object>
+        <select id="endmode" title="at end of video"></select>
+        <select id="speed" title="playback speed"></select>
+        <div id="screenmodes">
+            <button class="pip" title="play the video in a floating window"></button>
+            <button class="fullscreen" title="fill the screen with the player"></button>
+        </div>
+        <div id="zoom">
+            <span class="level"></span>
+            <button class="reset" title="show the whole frame">reset zoom</button>
+            <button class="freelook" title="zoom and pan on your own, or go back to what everyone sees"></button>
+        </div>
+        <label id="keepplaying" title="when you scrub a playing video, carry on playing from where you let go"><input type="checkbox"> keep playing after scrub</label>
+        <div id="thumbnail"><canvas></canvas><span></span></div>
+        <div id="playlist">
+            <button class="previous" title="previous video">&#x23ee;</button>
+            <button class="next" title="next video">&#x23ed;</button>
+            <ol></ol>
+        </div>
+        <div id="roster">
+            <div class="header"></div>
+            <button class="presenter"></button>
+            <label class="sharepointer" title="show everyone where your pointer is over the video"><input type="checkbox"> share my pointer</label>
+            <button class="clearcache" title="remove the video data that this browser has kept, to play videos again without fetching them"></button>
+            <label class="waitmode" title="hold playback until every viewer has loaded and buffered the video"><input type="checkbox"> wait for everyone</label>
+            <table></table>
+        </div>
+        <div id="history">
+            <div class="header">history</div>
+            <button class="undo" title="take everyone back to where the latest seek was from">undo last seek</button>
+            <ol></ol>
+        </div>
+        <div id="angles"></div>
+        <canvas id="telestration" touch-action="none"></canvas>
+        <div id="drawtools">
+            <button class="draw" title="draw over the video, for everyone to see">&#x270e; draw</button>
+            <select class="tool" title="drawing tool"></select>
+            <input class="color" type="color" value="#ff3333" title="drawing colour">
+            <select class="mode" title="when drawings are removed"></select>
+            <button class="clear" title="remove all drawings">clear</button>
+        </div>
+        <div id="pointers"></div>
+        <div id="uploads"></div>
+        <div id="playability"></div>
+        <div id="waiting"></div>
+        <div id="annotations"></div>
+        <select id="captions" title="captions"></select>
+        <select id="anglelayout" title="how to show the other camera angles"></select>
+        <button id="addnote" title="add a note at the current time (or alt-click on the video)">+ note</button>
+        <button id="addurl" title="add a video by its URL (or paste or drop the URL anywhere)">+ url</button>
+        <button id="clip"></button>
+        <div id="prompt">drag & drop an mp4 file, or paste a video URL</div>
+    </div>
+`;
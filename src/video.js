@@ -14,46 +14,212 @@
    limitations under the License.
 */
 import { Model, View, Session, Data, App } from "@croquet/croquet";
+import { CHUNK_SIZE, ChunkedMediaStream, ManifestStream, canPlayMedia, canStream, fullMediaType, isManifestType, mediaTypeForURL } from "./streaming.js";
+import { DriftController } from "./drift.js";
+import { ChunkCache } from "./cache.js";
+import { watchForeignSeeks } from "./seeks.js";
+import { persistedData, restoredState } from "./persistence.js";
+import { PLAYER_TEMPLATE } from "./template.js";
 
-const KEEP_HIDDEN_TABS_ALIVE = false;
 const SCRUB_THROTTLE = 1000 / 10; // min time between scrub events
+const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
+const END_MODES = { loop: 'repeat video', stop: 'stop at end', advance: 'play next' };
+const MIN_LOOP_PROPORTION = 0.01; // shift-drags on the timebar shorter than this clear the A-B loop
+const ANNOTATION_DISPLAY_TIME = 4; // seconds of video time for which an annotation pops up
+const MARKER_HIT_WIDTH = 5; // pixels either side of a timebar marker that count as clicking on it
+const STATUS_REPORT_INTERVAL = 2000; // ms between each view's reports of its playback status
+const FAILED_UPLOAD_DISPLAY_TIME = 15000; // ms for which a failed upload stays listed
+const UPLOAD_LIMITS = { maxSize: 2 * 1024 * 1024 * 1024, types: ['video/', 'audio/'] }; // checked before a dropped file is read.  types are prefixes of acceptable MIME types
+const WAIT_TIMEOUT = 15000; // ms for which playback waits for everyone to be ready, in wait mode, before starting anyway
+const WAIT_BUFFER_AHEAD = 3; // seconds that a view must have buffered from the start position to count as ready
+const STALL_REPORT_TIME = 1000; // ms that a playing video must have been stalled for before it holds everyone up, in wait mode
+const HISTORY_LENGTH = 50; // actions kept in the shared history
+const HISTORY_MERGE_TIME = 2000; // ms within which successive seeks by the same viewer (e.g., the steps of a scrub) are logged as one
+const PERSIST_DELAY = 2000; // ms by which the model defers persisting, so that a burst of changes (e.g. a scrub) is saved once
+const PERSIST_INTERVAL = 30000; // ms between saves while a video is playing, so that the saved position keeps up with it
+const DEFAULT_PLAYER_OPTIONS = {
+    appId: "com.example.video_demo", // replace with your own appId!
+    name: null, // session name; by default, taken from (or added to) the page URL by App.autoSession()
+    password: null, // by default, as for name, by App.autoPassword()
+    tps: 4,
+    autoSleep: true, // whether a hidden tab goes dormant
+    cacheSize: 1024 * 1024 * 1024, // bytes of fetched video data kept in this browser (see cache.js); 0 for no cache
+    drift: { strategy: new URLSearchParams(window.location.search).get('drift') || 'step' } // e.g. ?drift=pid; see drift.js for the other settings
+};
+const STROKE_TOOLS = { pen: 'pen', arrow: 'arrow', highlight: 'highlighter' };
+const STROKE_MODES = { resume: 'clear drawings on play', frame: 'keep drawings on their frame' };
+const MAX_STROKES = 200; // the oldest drawn strokes are dropped beyond this
+const MAX_STROKE_POINTS = 500;
+const MIN_STROKE_STEP = 0.003; // proportion of the frame width that the pointer must move to add a point to a stroke
+const STROKE_FRAME_TOLERANCE = 0.1; // seconds either side of its frame for which a stroke is shown, in 'frame' mode
+const KEYBOARD_SEEK_STEP = 5; // seconds moved by the left and right arrow keys
+const FRAME_STEP = 1 / 30; // seconds moved by the , and . keys.  the actual frame rate isn't available, so assume 30fps
+const CAPTION_LANGUAGE_KEY = 'croquet-video-caption-language'; // localStorage key for this viewer's caption choice
+const SHARE_POINTER_KEY = 'croquet-video-share-pointer'; // localStorage key for whether this viewer shares their pointer
+const POINTER_THROTTLE = 1000 / 10; // min time between shared pointer updates
+const POINTER_IDLE_TIME = 3000; // ms after which a remote pointer that hasn't moved fades out
+const KEEP_PLAYING_KEY = 'croquet-video-keep-playing'; // localStorage key for this viewer's keep-playing-after-scrub choice
+const THUMBNAIL_WIDTH = 160; // pixels
+const ANGLE_LAYOUT_KEY = 'croquet-video-angle-layout'; // localStorage key for this viewer's layout of camera angles
+const ANGLE_OFFSET_STEP = 0.1; // seconds by which the angle buttons nudge an angle's offset (ten times that with shift)
+const MAX_ZOOM = 8; // the most that the frame can be magnified
+const WHEEL_ZOOM_RATE = 0.002; // zoom factor per pixel of wheel movement, as a power of e
+const PAN_THRESHOLD = 4; // pixels that the pointer must move on a zoomed video for a drag to pan, rather than count as a click
+const VIEWPORT_THROTTLE = 1000 / 10; // min time between shared viewport updates
+const VIEWPORT_GRACE = 500; // ms for which this viewer's own change to the shared viewport is shown while it goes through the model
+const VIDEO_AREA_TOP = 10; // percentage of the container's height above the video (for the timebar), as in template.js
+const FULL_FETCH_CONCURRENCY = 4; // chunks fetched at once for a chunked video that can't be streamed, and so is fetched in full before it plays
+const CLIP_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4']; // MediaRecorder formats for clips, in order of preference
 
-// handler for sharing and playing dropped-in video files
+function isHTTPURL(text) {
+    try { return ['http:', 'https:'].includes(new URL(text).protocol); } catch (e) { return false; }
+}
+
+// the http(s) URLs in some text, such as a text/uri-list (in which lines starting with # are comments)
+function videoURLsIn(text) {
+    return text.split(/[\r\n]+/).map(line => line.trim()).filter(line => line && !line.startsWith('#')).filter(isHTTPURL);
+}
+
+// handler for sharing and playing video and caption files dropped on the player, and video
+// URLs dropped on it or pasted while it has the focus
 class DragDropHandler {
-    constructor(_options) {
+    constructor(host, root) {
         this.rootView = null;
+        this.hostListeners = new AbortController(); // the host element outlives the player, so its listeners are removed by dispose()
+        const { signal } = this.hostListeners;
 
         // NB: per https://developer.mozilla.org/docs/Web/API/HTML_Drag_and_Drop_API/Drag_operations, one must cancel (e.g., preventDefault()) on dragenter and dragover events to indicate willingness to receive drop.
-        window.addEventListener('dragenter', event => {
+        host.addEventListener('dragenter', event => {
             event.preventDefault();
-        });
+        }, { signal });
 
-        window.addEventListener('dragover', event => {
+        host.addEventListener('dragover', event => {
             event.preventDefault();
-        });
+        }, { signal });
 
-        window.addEventListener('dragleave', event => {
+        host.addEventListener('dragleave', event => {
             event.preventDefault();
-        });
+        }, { signal });
 
-        window.addEventListener('drop', event => {
+        host.addEventListener('drop', event => {
             event.preventDefault();
             this.onDrop(event);
-        });
+        }, { signal });
+
+        host.addEventListener('paste', event => this.onPaste(event), { signal });
+
+        const urlButton = root.getElementById('addurl');
+        urlButton.addEventListener('pointerup', event => event.stopPropagation()); // not a play/pause click
+        urlButton.addEventListener('click', () => this.rootView && this.rootView.promptForURL());
     }
 
     setView(view) { this.rootView = view; }
 
+    dispose() { this.hostListeners.abort(); }
+
     async onDrop(evt) {
         if (!this.rootView) return;
         for (const item of evt.dataTransfer.items) {
-            if (item.kind === "file") this.rootView.addFile(item.getAsFile());
+            if (item.kind === "string" && item.type === "text/uri-list") {
+                const asAngle = evt.altKey;
+                item.getAsString(text => this.rootView && videoURLsIn(text).forEach(url => this.rootView.addURL(url, { asAngle })));
+                continue;
+            }
+            if (item.kind !== "file") continue;
+
+            const file = item.getAsFile();
+            if (isCaptionFile(file)) this.rootView.addCaptionFile(file);
+            else this.rootView.addFile(file, { asAlternate: evt.shiftKey, asAngle: evt.altKey }); // a shift-drop adds an alternate encoding of the current video, and an alt-drop another camera angle of it
         }
     }
 
+    onPaste(evt) {
+        const target = evt.composedPath()[0]; // evt.target is the player's element, for events from inside its shadow root
+        if (!this.rootView || target.isContentEditable || ['INPUT', 'TEXTAREA'].includes(target.tagName)) return;
+
+        const urls = videoURLsIn(evt.clipboardData.getData('text/uri-list') || evt.clipboardData.getData('text/plain'));
+        if (!urls.length) return;
+
+        evt.preventDefault();
+        urls.forEach(url => this.rootView.addURL(url));
+    }
+
+}
+
+// keyboard shortcuts for the transport controls, while the player has the focus:
+//   space: play/pause
+//   left/right arrows: seek back/forward by KEYBOARD_SEEK_STEP
+//   , and .: step back/forward by a frame (pausing the video)
+//   Home/End: go to the start/end of the video
+class KeyboardHandler {
+    constructor(host) {
+        this.rootView = null;
+        this.hostListeners = new AbortController(); // removed by dispose(), as in DragDropHandler
+        host.addEventListener('keydown', evt => this.onKeyDown(evt), { signal: this.hostListeners.signal });
+    }
+
+    setView(view) { this.rootView = view; }
+
+    dispose() { this.hostListeners.abort(); }
+
+    onKeyDown(evt) {
+        if (!this.rootView || evt.ctrlKey || evt.metaKey || evt.altKey) return;
+
+        // leave keys alone while they're operating a form control
+        const target = evt.composedPath()[0];
+        if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(target.tagName)) return;
+
+        const command = {
+            ' ': 'toggle',
+            'ArrowLeft': 'back',
+            'ArrowRight': 'forward',
+            ',': 'previous-frame',
+            '.': 'next-frame',
+            'Home': 'start',
+            'End': 'end'
+        }[evt.key];
+        if (!command) return;
+
+        this.rootView.handleKeyboard(command);
+        evt.preventDefault(); // e.g., stop space from scrolling the page
+    }
+}
+
+
+// an asset is complete once its single data handle, or every one of its chunk handles, has been stored
+function assetIsStored(asset) {
+    if (asset.url) return true; // played straight from its server
+    return asset.chunks ? asset.chunks.every(handle => handle) : !!asset.handle;
+}
+
+// an asset's encodings: itself, then any alternates (e.g., a WebM version of an mp4 file) that
+// a browser unable to play the original might be able to play instead
+function encodingsOf(asset) {
+    return [asset, ...(asset.alternates || [])];
+}
+
+// whether enough of an asset has been stored to start loading it
+function assetIsLoadable(asset) {
+    if (asset.url) return true;
+    return asset.chunks ? !!asset.chunks[0] : !!asset.handle;
+}
+
+function isCaptionFile(file) {
+    return file.type === 'text/vtt' || /\.(vtt|srt)$/i.test(file.name);
+}
+
+// SRT differs from WebVTT mainly in its header and its use of commas in cue timings
+function srtToVtt(srt) {
+    const body = srt.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim()
+        .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+    return `WEBVTT\n\n${body}\n`;
 }
-const dragDropHandler = new DragDropHandler();
 
+// the language of a caption file, if its name has one in the style "movie.en.vtt" or "movie.pt-BR.srt"
+function captionLanguage(fileName) {
+    const match = fileName.match(/\.([a-z]{2,3}(?:-[a-z]{2,4})?)\.(vtt|srt)$/i);
+    return match ? match[1] : '';
+}
 
 // a throttle that also ensures that the last value is delivered
 function throttle(fn, delay) {
@@ -78,35 +244,175 @@ function throttle(fn, delay) {
     };
 }
 
+// e.g. 83.4 => "1:23"
+function formatTime(seconds) {
+    const whole = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(whole / 3600), minutes = Math.floor(whole / 60) % 60, secs = whole % 60;
+    const pad = n => String(n).padStart(2, '0');
+    return hours ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+}
+
+// the rectangle, in page coordinates, that a video's frame occupies within its element (which
+// letterboxes the frame if their shapes differ).  for the rectangle within some other placing of
+// the element, supply that as rect.
+function frameRect(video, rect = video.getBoundingClientRect()) {
+    if (!video.videoWidth || !video.videoHeight) return rect;
+
+    const scale = Math.min(rect.width / video.videoWidth, rect.height / video.videoHeight);
+    const width = video.videoWidth * scale, height = video.videoHeight * scale;
+    return { left: rect.left + (rect.width - width) / 2, top: rect.top + (rect.height - height) / 2, width, height };
+}
+
+// points are [x, y] proportions of a width and height
+function drawStroke(ctx, { tool, color, points }, width, height) {
+    const scaled = points.map(([x, y]) => [x * width, y * height]);
+    ctx.save();
+    ctx.strokeStyle = ctx.fillStyle = color;
+    ctx.lineCap = ctx.lineJoin = 'round';
+    ctx.lineWidth = Math.max(2, width * (tool === 'highlight' ? 0.02 : 0.004));
+    if (tool === 'highlight') ctx.globalAlpha = 0.35;
+
+    ctx.beginPath();
+    if (tool === 'arrow') {
+        // a straight line from the first point to the last, with a head at the end
+        const [x0, y0] = scaled[0], [x1, y1] = scaled[scaled.length - 1];
+        const angle = Math.atan2(y1 - y0, x1 - x0), head = ctx.lineWidth * 4;
+        ctx.moveTo(x0, y0);
+        ctx.lineTo(x1, y1);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x1 - head * Math.cos(angle - Math.PI / 6), y1 - head * Math.sin(angle - Math.PI / 6));
+        ctx.lineTo(x1 - head * Math.cos(angle + Math.PI / 6), y1 - head * Math.sin(angle + Math.PI / 6));
+        ctx.closePath();
+        ctx.fill();
+    } else {
+        scaled.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+        if (scaled.length === 1) ctx.lineTo(scaled[0][0] + 0.1, scaled[0][1]); // a dot
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+// the format in which this browser can record clips, or null if it can't
+function clipRecordingType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return CLIP_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// record the range { start, end } (in seconds) of a video element as a Blob of the given type.
+// the video is played through the range in real time.  recording is { cancelled, onProgress },
+// and the promise resolves to null if recording.cancelled is set before the end of the range.
+async function recordRange(video, { start, end }, mimeType, recording) {
+    video.muted = true; // the captured stream still has the sound
+    video.loop = false;
+    video.currentTime = start;
+    await new Promise(resolve => video.addEventListener('seeked', resolve, { once: true }));
+
+    const capture = video.captureStream ? video.captureStream() : video.mozCaptureStream();
+    const recorder = new MediaRecorder(capture, { mimeType });
+    const chunks = [];
+    recorder.ondataavailable = evt => evt.data.size && chunks.push(evt.data);
+    const stopped = new Promise(resolve => recorder.onstop = resolve);
+
+    recorder.start(1000);
+    await video.play();
+    await new Promise(resolve => {
+        const check = () => {
+            if (recording.cancelled || video.ended || video.currentTime >= end) {
+                ['timeupdate', 'ended'].forEach(type => video.removeEventListener(type, check));
+                resolve();
+            } else recording.onProgress((video.currentTime - start) / (end - start));
+        };
+        ['timeupdate', 'ended'].forEach(type => video.addEventListener(type, check));
+    });
+    video.pause();
+    recorder.stop();
+    await stopped;
+    return recording.cancelled ? null : new Blob(chunks, { type: mimeType });
+}
+
 class TimeBarView {
-    constructor() {
-        const element = this.element = document.getElementById('timebar');
+    constructor(root) {
+        const element = this.element = root.getElementById('timebar');
+        // for assistive technology, the timebar is a slider for the video position (see setPosition)
+        element.setAttribute('role', 'slider');
+        element.setAttribute('tabindex', '0');
+        element.setAttribute('aria-label', 'video position');
+        element.setAttribute('aria-keyshortcuts', 'Space ArrowLeft ArrowRight , . Home End');
+        element.setAttribute('aria-valuemin', '0');
         element.addEventListener('pointerdown', evt => this.onPointerDown(evt));
         element.addEventListener('pointermove', throttle(evt => this.onPointerMove(evt), SCRUB_THROTTLE));
         element.addEventListener('pointerup', evt => this.onPointerUp(evt));
+        element.addEventListener('pointerleave', () => this.rootView && this.rootView.handleTimebarHover(null));
 
-        const container = document.getElementById('container');
+        const container = root.getElementById('container');
         container.addEventListener('pointerup', evt => this.onContainerClick(evt)); // pointerdown doesn't seem to satisfy the conditions for immediately activating a video, at least on Android
 
-        window.addEventListener('resize', () => this.onWindowResize(), false);
-        this.onWindowResize();
-
         this.rootView = null;
         this.lastDragProportion = null;
         this.lastDrawnProportion = null;
+        this.loopRange = null; // shared A-B loop, as { start, end } proportions of the duration
+        this.selection = null; // A-B range being selected locally with a shift-drag
+        this.markers = []; // annotation markers, as { id, proportion }
+        this.buffered = []; // ranges of the video that are ready to play, as { start, end } proportions
+        this.bufferedKey = '';
+        this.duration = 0;
+        this.lastAnnounced = null;
+
+        // the player can be resized along with the window, or by the page it's embedded in
+        this.resizeObserver = new ResizeObserver(() => this.onResize());
+        this.resizeObserver.observe(element);
+        this.onResize();
     }
 
+    dispose() { this.resizeObserver.disconnect(); }
+
     setView(view) {
         this.rootView = view;
+        this.loopRange = this.selection = null;
+        this.markers = [];
+        this.setBuffered([]);
+        this.setPosition(0, 0);
         this.drawPlaybar(0);
     }
 
+    // keep the slider's ARIA value in step with the video, to the nearest second
+    setPosition(time, duration) {
+        this.duration = duration; // for the time labels
+        const second = Math.floor(time), wholeDuration = Math.floor(duration);
+        const announced = `${second}/${wholeDuration}`;
+        if (this.lastAnnounced === announced) return;
+
+        this.lastAnnounced = announced;
+        this.element.setAttribute('aria-valuemax', String(wholeDuration));
+        this.element.setAttribute('aria-valuenow', String(second));
+        this.element.setAttribute('aria-valuetext', `${formatTime(time)} of ${formatTime(duration)}`);
+    }
+
+    setDisabled(disabled) {
+        this.element.setAttribute('aria-disabled', String(disabled));
+    }
+
+    // a plain drag scrubs the video; a shift-drag selects a range for the A-B loop
     onPointerDown(evt) {
         evt.stopPropagation();
         if (!this.rootView) return;
 
-        this.dragging = true;
-        this.dragAtOffset(evt.offsetX);
+        const marker = !evt.shiftKey && this.markerAtOffset(evt.offsetX);
+        if (marker) {
+            this.rootView.handleMarker(marker.id);
+        } else if (evt.shiftKey) {
+            const proportion = this.proportionAtOffset(evt.offsetX);
+            this.selection = { start: proportion, end: proportion };
+            this.redraw();
+        } else {
+            this.dragging = true;
+            this.element.setPointerCapture(evt.pointerId); // so we see the pointerup, even if it's off the bar
+            this.rootView.handleTimebarHover(null);
+            this.rootView.handleScrubStart();
+            this.dragAtOffset(evt.offsetX);
+        }
         evt.preventDefault();
     }
 
@@ -114,33 +420,87 @@ class TimeBarView {
         evt.stopPropagation();
         if (!this.rootView) return;
 
-        this.dragging = false;
+        if (this.dragging) {
+            this.dragging = false;
+            this.rootView.handleScrubEnd(this.lastDragProportion);
+        }
+        if (this.selection) {
+            const { start, end } = this.selection;
+            this.selection = null;
+            const range = Math.abs(end - start) < MIN_LOOP_PROPORTION ? null : { start: Math.min(start, end), end: Math.max(start, end) };
+            this.rootView.handleLoopRange(range);
+            this.redraw();
+        }
         evt.preventDefault();
     }
 
     // already throttled
     onPointerMove(evt) {
         if (!this.rootView) return;
-        if (!this.dragging) return;
+
+        if (this.selection) {
+            this.selection.end = this.proportionAtOffset(evt.offsetX);
+            this.redraw();
+            evt.preventDefault();
+            return;
+        }
+        if (!this.dragging) {
+            // hovering shows a preview of the frame at that point
+            if (evt.pointerType === 'mouse') this.rootView.handleTimebarHover(this.proportionAtOffset(evt.offsetX));
+            return;
+        }
 
         this.dragAtOffset(evt.offsetX);
         evt.preventDefault();
     }
 
-    dragAtOffset(offsetX) {
+    proportionAtOffset(offsetX) {
+        const barWidth = this.element.width;
+        return Math.max(0, Math.min(1, offsetX / barWidth));
+    }
+
+    markerAtOffset(offsetX) {
         const barWidth = this.element.width;
-        const timeProportion = Math.max(0, Math.min(1, offsetX / barWidth));
+        return this.markers.find(marker => Math.abs(marker.proportion * barWidth - offsetX) <= MARKER_HIT_WIDTH);
+    }
+
+    dragAtOffset(offsetX) {
+        const timeProportion = this.proportionAtOffset(offsetX);
         if (this.lastDragProportion === timeProportion) return;
 
         this.lastDragProportion = timeProportion;
         this.rootView.handleTimebar(timeProportion);
     }
 
-    onWindowResize() {
+    onResize() {
         const canvas = this.element;
         const rect = canvas.getBoundingClientRect();
         canvas.width = rect.width;
         canvas.height = rect.height;
+        this.redraw();
+    }
+
+    setLoopRange(range) {
+        this.loopRange = range;
+        this.redraw();
+    }
+
+    setMarkers(markers) {
+        this.markers = markers;
+        this.redraw();
+    }
+
+    // ranges are { start, end } proportions of the duration
+    setBuffered(ranges) {
+        const key = ranges.map(({ start, end }) => `${start.toFixed(3)}-${end.toFixed(3)}`).join(',');
+        if (key === this.bufferedKey) return;
+
+        this.bufferedKey = key;
+        this.buffered = ranges;
+        this.redraw();
+    }
+
+    redraw() {
         // clear saved portion to force redraw
         const portion = this.lastDrawnProportion;
         this.lastDrawnProportion = null;
@@ -163,441 +523,3325 @@ class TimeBarView {
         const ctx = canvas.getContext('2d');
         /* eslint-disable-next-line no-self-assign */
         canvas.width = canvas.width;
+        ctx.fillStyle = '#dddddd';
+        for (const { start, end } of this.buffered) ctx.fillRect(canvas.width * start, 0, canvas.width * (end - start), canvas.height);
+
         ctx.fillStyle = '#ff4444';
         ctx.fillRect(0, 0, canvas.width * portion, canvas.height);
+
+        const range = this.selection || this.loopRange;
+        if (range) {
+            const start = Math.min(range.start, range.end), end = Math.max(range.start, range.end);
+            ctx.fillStyle = 'rgba(68, 68, 255, 0.4)';
+            ctx.fillRect(canvas.width * start, 0, canvas.width * (end - start), canvas.height);
+        }
+
+        ctx.fillStyle = '#ffcc00';
+        for (const marker of this.markers) ctx.fillRect(canvas.width * marker.proportion - 1, 0, 3, canvas.height);
+
+        if (this.duration) {
+            const margin = canvas.height * 0.25;
+            ctx.font = `${Math.round(canvas.height * 0.6)}px sans-serif`;
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#222222';
+            ctx.textAlign = 'left';
+            ctx.fillText(formatTime(portion * this.duration), margin, canvas.height / 2);
+            ctx.textAlign = 'right';
+            ctx.fillText(formatTime(this.duration), canvas.width - margin, canvas.height / 2);
+        }
     }
 }
-const timebarView = new TimeBarView();
-
-// Video2DView is an interface over an HTML video element.
-// its readyPromise resolves once the video is available to play.
-export class Video2DView {
-    constructor(url) {
-        this.url = url;
-        this.video = document.createElement("video");
-        this.video.autoplay = false;
-        this.video.loop = true;
-        this.isPlaying = false;
-        this.isBlocked = false; // unless we find out to the contrary, on trying to play
 
-        this.readyPromise = new Promise(resolved => {
-            this._ready = () => resolved(this);
-        });
+// a preview of the frame under the pointer as it hovers over the timebar.  frames come from a
+// hidden second video element - the "decoder" - playing the same media as the main one, so
+// that seeking around in it doesn't disturb the shared playback.
+class ThumbnailView {
+    constructor(root) {
+        const element = this.element = root.getElementById('thumbnail');
+        this.canvas = element.querySelector('canvas');
+        this.label = element.querySelector('span');
 
-        this.video.oncanplay = () => {
-            this.duration = this.video.duration; // ondurationchange is (apparently) always ahead of oncanplay
-            this._ready();
-        };
+        this.rootView = null;
+        this.makeDecoderSource = null;
+        this.decoder = null; // { video, stream }
+        this.seeking = false;
+        this.pendingTime = null; // latest time asked for while a seek was in progress
+    }
 
-        this.video.onerror = () => {
-            let err;
-            const errCode = this.video.error.code;
-            switch (errCode) {
-                case 1: err = "video loading aborted"; break;
-                case 2: err = "network loading error"; break;
-                case 3: err = "video decoding failed / corrupted data or unsupported codec"; break;
-                case 4: err = "video not supported"; break;
-                default: err = "unknown video error";
-            }
-            console.log(`Error: ${err} (errorcode=${errCode})`);
-        };
+    setView(view) {
+        this.rootView = view;
+        this.setSource(null);
+    }
 
-        /* other events, that can help with debugging
-        [ "pause", "play", "seeking", "seeked", "stalled", "waiting" ].forEach(k => { this.video[`on${k}`] = () => console.log(k); });
-        */
+    // makeDecoderSource is a function that returns { url, stream } for the decoder (with stream
+    // null unless the url belongs to a ChunkedMediaStream), or null if there's no video to
+    // preview.  the decoder is only created once a preview is needed.
+    setSource(makeDecoderSource) {
+        this.hide();
+        if (this.decoder) {
+            const { video, stream } = this.decoder;
+            video.removeAttribute('src');
+            video.load();
+            if (stream) stream.dispose();
+            this.decoder = null;
+        }
+        this.makeDecoderSource = makeDecoderSource;
+        this.seeking = false;
+        this.pendingTime = null;
+    }
 
-        this.video.crossOrigin = "anonymous";
+    ensureDecoder() {
+        if (this.decoder || !this.makeDecoderSource) return this.decoder;
 
-        if (!this.video.canPlayType("video/mp4").match(/maybe|probably/i)) {
-            console.log("apparently can't play video");
+        const { url, stream } = this.makeDecoderSource();
+        if (!url) { // a manifest stream, played through its own player rather than from a url
+            if (stream) stream.dispose();
+            this.makeDecoderSource = null;
+            return null;
         }
 
-        this.video.src = this.url;
-        this.video.load();
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.crossOrigin = "anonymous";
+        video.addEventListener('seeked', () => this.onSeeked());
+        if (stream) stream.attach(video);
+        video.src = url;
+        this.decoder = { video, stream };
+        return this.decoder;
     }
 
-    width() { return this.video.videoWidth; }
-    height() { return this.video.videoHeight; }
+    // show the frame at the given time, centred on the given x position (in page coordinates)
+    // above the top of barRect
+    show(time, pageX, barRect) {
+        const decoder = this.ensureDecoder();
+        if (!decoder) return;
 
-    wrappedTime(videoTime, guarded) {
-        if (this.duration) {
-            while (videoTime > this.duration) videoTime -= this.duration; // assume it's looping, with no gap between plays
-            if (guarded) videoTime = Math.min(this.duration - 0.1, videoTime); // the video element freaks out on being told to seek very close to the end
-        }
-        return videoTime;
+        const { element } = this;
+        const containerRect = element.parentNode.getBoundingClientRect();
+        const left = Math.max(0, Math.min(containerRect.width - THUMBNAIL_WIDTH, pageX - containerRect.left - THUMBNAIL_WIDTH / 2));
+        element.style.left = `${left}px`;
+        element.style.top = `${barRect.bottom - containerRect.top + 4}px`;
+        element.style.display = 'block';
+        this.label.textContent = formatTime(time);
+
+        if (this.seeking) this.pendingTime = time;
+        else this.seekDecoder(time);
     }
 
-    async play(videoTime) {
-        // return true if video play started successfully
-        this.video.currentTime = this.wrappedTime(videoTime, true);
-        this.isPlaying = true; // even if it turns out to be blocked by the browser
-        // following guidelines from https://developer.mozilla.org/docs/Web/API/HTMLMediaElement/play
-        try {
-            await this.video.play(); // will throw exception if blocked
-            this.isBlocked = false;
-        } catch (err) {
-            console.warn("video play blocked");
-            this.isBlocked = this.isPlaying; // just in case isPlaying was set false while we were trying
-        }
-        return !this.isBlocked;
+    hide() {
+        this.element.style.display = 'none';
+        this.pendingTime = null;
     }
 
-    pause(videoTime) {
-        this.isPlaying = this.isBlocked = false; // might not be blocked next time.
-        this.setStatic(videoTime);
+    seekDecoder(time) {
+        this.seeking = true;
+        this.decoder.video.currentTime = time;
     }
 
-    setStatic(videoTime) {
-        if (videoTime !== undefined) this.video.currentTime = this.wrappedTime(videoTime, true); // true => guarded from values too near the end
-        this.video.pause(); // no return value; synchronous, instantaneous?
+    onSeeked() {
+        this.seeking = false;
+        if (!this.decoder) return;
+
+        const { video } = this.decoder;
+        if (video.videoWidth) {
+            const { canvas } = this;
+            canvas.width = THUMBNAIL_WIDTH;
+            canvas.height = Math.round(THUMBNAIL_WIDTH * video.videoHeight / video.videoWidth);
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        }
+        if (this.pendingTime !== null) {
+            const time = this.pendingTime;
+            this.pendingTime = null;
+            this.seekDecoder(time);
+        }
     }
+}
 
-    dispose() {
-        try {
-            URL.revokeObjectURL(this.url);
-            if (this.texture) {
-                this.texture.dispose();
-                delete this.texture;
-            }
-            delete this.video;
-        } catch (e) { console.warn(`error in Video2DView cleanup: ${e}`); }
+// this viewer's choice of whether a scrub of a playing video should leave it playing
+class KeepPlayingView {
+    constructor(root) {
+        const element = this.element = root.getElementById('keepplaying');
+        this.checkbox = element.querySelector('input');
+        element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        try { this.checkbox.checked = window.localStorage.getItem(KEEP_PLAYING_KEY) === 'true'; } catch (e) { /* use the default */ }
+        this.checkbox.addEventListener('change', () => {
+            try { window.localStorage.setItem(KEEP_PLAYING_KEY, String(this.checkbox.checked)); } catch (e) { /* not remembered */ }
+        });
     }
+
+    get keepPlaying() { return this.checkbox.checked; }
 }
 
-// a shared model for handling video loads and interactions
-class SyncedVideoModel extends Model {
-    init(options, persistedSession) {
-        super.init(options);
-        this.asset = null;
-        this.handles = {};
+// the shared playlist, with controls for selecting, reordering and removing entries
+class PlaylistView {
+    constructor(root) {
+        const element = this.element = root.getElementById('playlist');
+        this.list = element.querySelector('ol');
+        // keep clicks on the playlist from reaching the container's play/pause handling
+        element.addEventListener('pointerup', evt => evt.stopPropagation());
+        element.querySelector('.previous').addEventListener('click', () => this.rootView && this.rootView.handlePlaylist('previous-entry'));
+        element.querySelector('.next').addEventListener('click', () => this.rootView && this.rootView.handlePlaylist('next-entry'));
 
-        this.subscribe(this.id, 'add-asset', this.addAsset);
-        this.subscribe(this.id, 'stored-data', this.storedData);
-        this.subscribe(this.id, 'set-play-state', this.setPlayState);
+        this.rootView = null;
+    }
 
-        if (persistedSession) this.restoreEverything(persistedSession);
+    setView(view) {
+        this.rootView = view;
+        this.render();
     }
 
-    // 'add-asset' is published with the meta data, likely before the upload finished
-    addAsset(asset) {
-        this.isPlaying = false;
-        this.startOffset = null; // only valid if playing
-        this.pausedTime = 0; // only valid if paused
+    render() {
+        const entries = this.rootView ? this.rootView.model.playlist : [];
+        this.element.style.display = entries.length ? 'block' : 'none';
+        this.list.textContent = '';
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            if (entry.id === this.rootView.model.currentEntryId) item.classList.add('current');
+            if (!assetIsStored(entry.asset)) item.classList.add('pending');
 
-        this.asset = asset;
-        if (asset.handle && asset.hash) this.handles[asset.hash] = asset.handle;
-        this.publish(this.id, 'asset-changed');
-    }
+            const name = document.createElement('span');
+            const alternates = (entry.asset.alternates || []).length;
+            name.textContent = alternates ? `${entry.asset.name} (+${alternates} encoding${alternates === 1 ? '' : 's'})` : entry.asset.name;
+            const { source } = entry.asset;
+            if (source) {
+                const sourceEntry = entries.find(e => e.asset.hash === source.hash);
+                name.title = `clip of ${sourceEntry ? sourceEntry.asset.name : 'a removed video'}, ${formatTime(source.start)} to ${formatTime(source.end)}`;
+            }
+            name.addEventListener('click', () => this.rootView.handlePlaylist('select-entry', { entryId: entry.id }));
+            item.appendChild(name);
 
-    // 'stored-data' is published when the upload finished
-    storedData({hash, handle}) {
-        this.handles[hash] = handle;
-        if (this.asset && this.asset.hash === hash) {
-            this.asset.handle = handle;
-            this.publish(this.id, 'asset-changed');
-        }
-        this.persistSession(this.getEverything);
-    }
+            const addButton = (label, title, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.title = title;
+                button.addEventListener('click', onClick);
+                item.appendChild(button);
+            };
+            if (index > 0) addButton('\u25b2', 'move up', () => this.rootView.handlePlaylist('move-entry', { entryId: entry.id, toIndex: index - 1 }));
+            if (index < entries.length - 1) addButton('\u25bc', 'move down', () => this.rootView.handlePlaylist('move-entry', { entryId: entry.id, toIndex: index + 1 }));
+            addButton('\u2715', 'remove', () => this.rootView.handlePlaylist('remove-entry', { entryId: entry.id }));
 
-    // the SyncedVideoView sends 'set-play-state' events when the user plays, pauses or scrubs the video.  the interface location of the user action responsible for this change of state is specified in actionSpec.
-    setPlayState(data) {
-        const { isPlaying, startOffset, pausedTime, actionSpec } = data;
-        this.isPlaying = isPlaying;
-        this.startOffset = startOffset;
-        this.pausedTime = pausedTime;
-        this.publish(this.id, 'play-state-changed', { isPlaying, startOffset, pausedTime, actionSpec });
+            this.list.appendChild(item);
+        });
     }
+}
 
-    /* persistent session data */
+// progress of everyone's uploads, with a cancel button on this viewer's own
+class UploadsView {
+    constructor(root) {
+        const element = this.element = root.getElementById('uploads');
+        element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        this.rootView = null;
+    }
 
-    getEverything() {
-        const { hash, type, size, name } = this.asset;
-        return {
-            asset: { hash, type, size, name },
-            handles: Object.entries(this.handles).map(([pHash, pHandle]) => [pHash, Data.toId(pHandle)])
-        };
+    setView(view) {
+        this.rootView = view;
+        this.render();
     }
 
-    restoreEverything(persistedData) {
-        this.addAsset(persistedData.asset);
-        for (const [pHash, pId] of persistedData.handles) {
-            const handle = Data.fromId(pId);
-            this.storedData({pHash, handle});
+    render() {
+        const { rootView } = this;
+        const uploads = rootView ? Object.values(rootView.model.uploads) : [];
+        this.element.style.display = uploads.length ? 'block' : 'none';
+        this.element.textContent = '';
+        for (const upload of uploads) {
+            const row = document.createElement('div');
+            const who = upload.viewId === rootView.viewId ? 'you' : rootView.model.viewerName(upload.viewId);
+            const percent = upload.size ? Math.floor(100 * upload.done / upload.size) : 100;
+            let status;
+            switch (upload.phase) {
+                case 'queued': status = 'waiting'; break;
+                case 'reading': status = `reading ${percent}%`; break;
+                case 'storing': status = `uploading ${percent}%`; break;
+                default: status = `failed: ${upload.error}`;
+            }
+            row.textContent = `${upload.name} (${who}): ${status} `;
+            if (upload.phase === 'failed') row.classList.add('failed');
+            else if (upload.viewId === rootView.viewId) {
+                const button = document.createElement('button');
+                button.textContent = '\u2715';
+                button.title = 'cancel upload';
+                button.addEventListener('click', () => rootView.cancelUpload(upload.uploadId));
+                row.appendChild(button);
+            }
+            this.element.appendChild(row);
         }
     }
 }
-SyncedVideoModel.register("SyncedVideoModel");
 
+// selector for the shared playback rate
+class SpeedView {
+    constructor(root) {
+        const element = this.element = root.getElementById('speed');
+        for (const rate of PLAYBACK_RATES) {
+            const option = document.createElement('option');
+            option.value = rate;
+            option.textContent = `${rate}x`;
+            element.appendChild(option);
+        }
+        element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        element.addEventListener('change', () => this.rootView && this.rootView.handleSpeed(Number(element.value)));
 
-class SyncedVideoView extends View {
-    constructor(model) {
-        super(model);
-        this.model = model;
-        dragDropHandler.setView(this);
-        timebarView.setView(this);
+        this.rootView = null;
+        this.showRate(1);
+    }
+
+    setView(view) { this.rootView = view; }
 
-        this.enableSoundIcon = document.getElementById('soundon');
-        this.playIcon = document.getElementById('play');
-        this.remoteHandIcon = document.getElementById('remotehand');
-        this.container = document.getElementById('container');
+    showRate(rate) { this.element.value = rate; }
+}
 
-        this.subscribe(this.model.id, { event: 'asset-changed', handling: 'oncePerFrameWhileSynced' }, this.assetChanged);
-        this.subscribe(this.model.id, { event: 'play-state-changed', handling: 'oncePerFrame' }, this.playStateChanged);
-        this.subscribe(this.viewId, { event: 'synced', handling: 'immediate' }, this.handleSyncState);
+// selector for what the group's playback does at the end of a video
+class EndModeView {
+    constructor(root) {
+        const element = this.element = root.getElementById('endmode');
+        for (const [mode, label] of Object.entries(END_MODES)) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            element.appendChild(option);
+        }
+        element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        element.addEventListener('change', () => this.rootView && this.rootView.handleEndMode(element.value));
 
-        this.videoView = null;
-        this.lastStatusCheck = this.now() + 500; // make the update loop wait a bit before checking the first time
-        if (this.model.asset) this.assetChanged();
+        this.rootView = null;
     }
 
-    async assetChanged() {
-        View.displayStatus(`Fetching ${this.model.asset.name}`);
-        if (!this.model.asset.handle) return;
-
-        this.disposeOfVideo(); // discard any loaded or loading video
+    setView(view) { this.rootView = view; }
 
-        this.waitingForSync = !this.realm.isSynced(); // this can flip back and forth
+    showMode(mode) { this.element.value = mode; }
+}
 
-        const { asset, isPlaying, startOffset, pausedTime } = this.model;
-        this.playStateChanged({ isPlaying, startOffset, pausedTime }); // will be stored for now, and may be overridden by messages in a backlog by the time the video is ready
+// pop-ups for annotations that are due at the current video time, and a button for adding a new one
+class AnnotationView {
+    constructor(root) {
+        this.layer = root.getElementById('annotations');
+        this.layer.addEventListener('pointerup', evt => evt.stopPropagation()); // clicks on pop-ups aren't play/pause clicks
+        const button = root.getElementById('addnote');
+        button.addEventListener('pointerup', evt => evt.stopPropagation());
+        button.addEventListener('click', () => this.rootView && this.rootView.annotateAt(null, null));
 
-        let okToGo = true; // unless cancelled by another load, or a shutdown
-        this.abandonLoad = () => okToGo = false;
+        this.rootView = null;
+        this.shownKey = null; // identifies the set of annotations currently shown
+    }
 
-        try {
-            const urlObj = await this.objectURLFor(asset);
-            const videoView = await (new Video2DView(urlObj.url)).readyPromise;
+    setView(view) {
+        this.rootView = view;
+        this.show([], null);
+    }
 
-            if (!okToGo) return; // been cancelled
-            delete this.abandonLoad;
+    // annotations with an x, y (proportions of the video frame's size, as in frameRect) are placed
+    // at that spot; others are stacked along the bottom of the frame
+    show(annotations, videoRect) {
+        const key = annotations.map(a => a.id).join(',');
+        if (key === this.shownKey) return;
 
-            document.getElementById('prompt').style.opacity = 0;
+        this.shownKey = key;
+        this.layer.textContent = '';
+        if (!annotations.length) return;
 
-            this.videoView = videoView;
-            const videoElem = this.videoElem = videoView.video;
-            this.playbackBoost = 0;
-            this.container.appendChild(videoElem);
+        const layerRect = this.layer.getBoundingClientRect();
+        let stacked = 0;
+        for (const annotation of annotations) {
+            const popup = document.createElement('div');
+            popup.className = 'annotation';
+            popup.textContent = annotation.text;
+            if (this.rootView && this.rootView.canRemoveAnnotation(annotation)) {
+                const remove = document.createElement('button');
+                remove.textContent = '\u2715';
+                remove.title = 'delete note';
+                remove.addEventListener('click', () => this.rootView && this.rootView.removeAnnotation(annotation.id));
+                popup.appendChild(remove);
+            }
+            if (annotation.x !== null) {
+                popup.style.left = `${videoRect.left - layerRect.left + annotation.x * videoRect.width}px`;
+                popup.style.top = `${videoRect.top - layerRect.top + annotation.y * videoRect.height}px`;
+            } else {
+                popup.style.left = `${videoRect.left - layerRect.left + 10}px`;
+                popup.style.bottom = `${layerRect.bottom - videoRect.bottom + 10 + 30 * stacked++}px`;
+            }
+            this.layer.appendChild(popup);
+        }
+    }
+}
 
-            this.applyPlayState();
-            this.lastTimingCheck = this.now() + 500; // let it settle before we try to adjust
+// freehand drawing ("telestration") over the video, with its tools.  strokes are shared through
+// the model, with their points as proportions of the video frame's width and height so that
+// they line up on any screen.
+class TelestrationView {
+    constructor(root) {
+        const canvas = this.canvas = root.getElementById('telestration');
+        canvas.addEventListener('pointerdown', evt => this.onPointerDown(evt));
+        canvas.addEventListener('pointermove', evt => this.onPointerMove(evt));
+        canvas.addEventListener('pointerup', evt => this.onPointerUp(evt));
+
+        const tools = root.getElementById('drawtools');
+        tools.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        this.drawButton = tools.querySelector('.draw');
+        this.drawButton.addEventListener('click', () => this.setDrawing(!this.drawing));
+        const addOptions = (select, options) => {
+            for (const [value, label] of Object.entries(options)) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            }
+        };
+        this.toolSelect = tools.querySelector('.tool');
+        addOptions(this.toolSelect, STROKE_TOOLS);
+        this.colorInput = tools.querySelector('.color');
+        this.modeSelect = tools.querySelector('.mode');
+        addOptions(this.modeSelect, STROKE_MODES);
+        this.modeSelect.addEventListener('change', () => this.rootView && this.rootView.handleStrokeMode(this.modeSelect.value));
+        this.clearButton = tools.querySelector('.clear');
+        this.clearButton.addEventListener('click', () => this.rootView && this.rootView.clearStrokes());
+
+        this.rootView = null;
+        this.drawing = false; // whether pointer input on the video draws, rather than playing/pausing
+        this.stroke = null; // the stroke being drawn here, until it's published
+        this.strokes = [];
+        this.frame = null;
+        this.shownKey = null; // identifies the strokes and frame rectangle currently drawn
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.setDrawing(false);
+        this.show([], null);
+    }
+
+    setDrawing(drawing) {
+        this.drawing = drawing;
+        this.stroke = null;
+        this.canvas.classList.toggle('drawing', drawing);
+        this.drawButton.classList.toggle('active', drawing);
+    }
+
+    setDisabled(disabled) {
+        [this.drawButton, this.modeSelect, this.clearButton].forEach(control => control.disabled = disabled);
+        if (disabled) this.setDrawing(false);
+    }
+
+    showMode(mode) { this.modeSelect.value = mode; }
+
+    // frame is the video frame's rectangle in page coordinates, or null if there's no video
+    show(strokes, frame) {
+        const key = frame ? `${strokes.map(s => s.id).join(',')}@${[frame.left, frame.top, frame.width, frame.height].map(Math.round).join(',')}` : '';
+        if (key === this.shownKey) return;
+
+        this.shownKey = key;
+        this.strokes = strokes;
+        this.frame = frame;
+        this.redraw();
+    }
+
+    redraw() {
+        const { canvas, frame } = this;
+        if (!frame) {
+            canvas.style.display = 'none';
+            return;
+        }
+
+        const containerRect = canvas.parentNode.getBoundingClientRect();
+        Object.assign(canvas.style, {
+            display: 'block',
+            left: `${frame.left - containerRect.left}px`,
+            top: `${frame.top - containerRect.top}px`,
+            width: `${frame.width}px`,
+            height: `${frame.height}px`
+        });
+        canvas.width = Math.round(frame.width); // also clears it
+        canvas.height = Math.round(frame.height);
+        const ctx = canvas.getContext('2d');
+        this.strokes.forEach(stroke => drawStroke(ctx, stroke, canvas.width, canvas.height));
+        if (this.stroke) drawStroke(ctx, this.stroke, canvas.width, canvas.height);
+    }
+
+    pointAt(evt) {
+        const { width, height } = this.canvas;
+        return [Math.max(0, Math.min(1, evt.offsetX / width)), Math.max(0, Math.min(1, evt.offsetY / height))];
+    }
+
+    onPointerDown(evt) {
+        evt.stopPropagation();
+        if (!this.drawing || !this.rootView) return;
+
+        this.canvas.setPointerCapture(evt.pointerId);
+        this.stroke = { tool: this.toolSelect.value, color: this.colorInput.value, points: [this.pointAt(evt)] };
+        this.redraw();
+        evt.preventDefault();
+    }
+
+    onPointerMove(evt) {
+        const { stroke } = this;
+        if (!stroke || stroke.points.length >= MAX_STROKE_POINTS) return;
+
+        const point = this.pointAt(evt);
+        const last = stroke.points[stroke.points.length - 1];
+        if (Math.hypot(point[0] - last[0], point[1] - last[1]) < MIN_STROKE_STEP) return;
+
+        stroke.points.push(point);
+        this.redraw();
+        evt.preventDefault();
+    }
+
+    onPointerUp(evt) {
+        evt.stopPropagation(); // drawing isn't a play/pause click
+        const { stroke } = this;
+        if (!stroke) return;
+
+        this.stroke = null; // the published stroke takes over once the model has it
+        if (this.rootView && (stroke.tool !== 'arrow' || stroke.points.length > 1)) this.rootView.addStroke(stroke);
+        this.redraw();
+        evt.preventDefault();
+    }
+}
+
+// live pointers: this viewer's, if they opt in to sharing it, and those of everyone else who has.
+// positions are proportions of the video element's size, as in an actionSpec.
+class PointersView {
+    constructor(root) {
+        this.layer = root.getElementById('pointers');
+        const checkbox = this.checkbox = root.querySelector('#roster .sharepointer input');
+        try { checkbox.checked = window.localStorage.getItem(SHARE_POINTER_KEY) === 'true'; } catch (e) { /* use the default */ }
+        checkbox.addEventListener('change', () => {
+            try { window.localStorage.setItem(SHARE_POINTER_KEY, String(checkbox.checked)); } catch (e) { /* not remembered */ }
+            if (!checkbox.checked && this.rootView) this.rootView.sharePointer(null, null);
+        });
+
+        const container = root.getElementById('container');
+        const share = throttle(evt => this.onPointerMove(evt), POINTER_THROTTLE);
+        container.addEventListener('pointermove', evt => this.checkbox.checked && share(evt));
+        container.addEventListener('pointerleave', () => this.checkbox.checked && share(null));
+
+        this.rootView = null;
+        this.pointers = {}; // viewId => { element, label, fadeTimeout }
+    }
+
+    setView(view) {
+        this.rootView = view;
+        Object.keys(this.pointers).forEach(viewId => this.remove(viewId));
+    }
+
+    // evt is null when the pointer has left the container
+    onPointerMove(evt) {
+        const { rootView } = this;
+        if (!rootView || !this.checkbox.checked) return;
+
+        const rect = rootView.videoElem && rootView.videoElem.getBoundingClientRect();
+        if (!evt || !rect || !rect.width) {
+            rootView.sharePointer(null, null);
+            return;
+        }
+        const x = (evt.clientX - rect.left) / rect.width, y = (evt.clientY - rect.top) / rect.height;
+        rootView.sharePointer(x, y);
+    }
+
+    // x and y are null if the viewer's pointer has left the video, or is no longer shared
+    move(viewId, x, y, name, hue) {
+        const { rootView } = this;
+        if (!rootView || x === null) {
+            this.remove(viewId);
+            return;
+        }
+
+        let pointer = this.pointers[viewId];
+        if (!pointer) {
+            const element = document.createElement('div');
+            element.className = 'pointer';
+            const label = document.createElement('span');
+            element.appendChild(label);
+            this.layer.appendChild(element);
+            pointer = this.pointers[viewId] = { element, label, fadeTimeout: null };
+        }
+        pointer.label.textContent = name;
+        pointer.element.style.setProperty('--pointer-color', `hsl(${hue}, 80%, 55%)`);
+
+        const videoRect = rootView.videoElem ? rootView.videoElem.getBoundingClientRect() : this.layer.getBoundingClientRect();
+        const layerRect = this.layer.getBoundingClientRect();
+        pointer.element.style.left = `${videoRect.left - layerRect.left + x * videoRect.width}px`;
+        pointer.element.style.top = `${videoRect.top - layerRect.top + y * videoRect.height}px`;
+        pointer.element.style.opacity = 1;
+
+        if (pointer.fadeTimeout) clearTimeout(pointer.fadeTimeout);
+        pointer.fadeTimeout = setTimeout(() => pointer.element.style.opacity = 0, POINTER_IDLE_TIME);
+    }
+
+    remove(viewId) {
+        const pointer = this.pointers[viewId];
+        if (!pointer) return;
+
+        if (pointer.fadeTimeout) clearTimeout(pointer.fadeTimeout);
+        pointer.element.remove();
+        delete this.pointers[viewId];
+    }
+
+    // forget the pointers of viewers who have left
+    prune(viewIds) {
+        Object.keys(this.pointers).filter(viewId => !viewIds.includes(viewId)).forEach(viewId => this.remove(viewId));
+    }
+}
+
+// the other camera angles of the current video, each in a tile of its own, and this viewer's
+// choice of how to lay them out: side by side with the main video, as pictures in picture, or
+// just one of them.  each tile has buttons for nudging its angle into line with the main video.
+class AnglesView {
+    constructor(root) {
+        this.layer = root.getElementById('angles');
+        const select = this.select = root.getElementById('anglelayout');
+        select.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        select.addEventListener('change', () => this.setLayout(select.value));
+        try { this.layout = window.localStorage.getItem(ANGLE_LAYOUT_KEY) || 'side'; } catch (e) { this.layout = 'side'; }
+
+        this.rootView = null;
+        this.tiles = {}; // angleId => { element, label, buttons }
+        this.hidesMain = false; // while one of the other angles is shown on its own
+    }
+
+    setView(view) {
+        this.rootView = view;
+        Object.keys(this.tiles).forEach(angleId => this.removeTile(angleId));
+        this.render();
+    }
+
+    addTile(angle, video) {
+        const element = document.createElement('div');
+        element.className = 'angle';
+        element.appendChild(video);
+
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        const label = document.createElement('span');
+        bar.appendChild(label);
+        const buttons = [
+            ['\u2212', 'show this angle 0.1s earlier (shift-click: 1s)', evt => this.rootView.handleAngleOffset(angle.id, -ANGLE_OFFSET_STEP * (evt.shiftKey ? 10 : 1))],
+            ['+', 'show this angle 0.1s later (shift-click: 1s)', evt => this.rootView.handleAngleOffset(angle.id, ANGLE_OFFSET_STEP * (evt.shiftKey ? 10 : 1))],
+            ['\u2715', 'remove this angle', () => this.rootView.handleRemoveAngle(angle.id)]
+        ].map(([text, title, onClick]) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', evt => this.rootView && onClick(evt));
+            bar.appendChild(button);
+            return button;
+        });
+        element.appendChild(bar);
+
+        this.layer.appendChild(element);
+        this.tiles[angle.id] = { element, label, buttons };
+    }
+
+    removeTile(angleId) {
+        const tile = this.tiles[angleId];
+        if (!tile) return;
+
+        tile.element.remove();
+        delete this.tiles[angleId];
+    }
+
+    setLayout(layout) {
+        this.layout = layout;
+        if (!layout.startsWith('angle:')) {
+            try { window.localStorage.setItem(ANGLE_LAYOUT_KEY, layout); } catch (e) { /* not remembered */ }
+        }
+        this.render();
+        if (this.rootView) this.rootView.showStrokes(); // which are only shown over the main video
+    }
+
+    render() {
+        const { rootView } = this;
+        const model = rootView && rootView.model;
+        const angles = model && model.asset ? (model.angles[model.asset.hash] || []) : [];
+        const shown = angles.filter(angle => this.tiles[angle.id]);
+
+        const choices = [['side', 'side by side'], ['pip', 'picture in picture'], ['main', 'main angle only'], ...shown.map(angle => [`angle:${angle.id}`, `${angle.asset.name} only`])];
+        this.select.textContent = '';
+        for (const [value, text] of choices) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            this.select.appendChild(option);
+        }
+        const layout = choices.some(([value]) => value === this.layout) ? this.layout : 'side'; // e.g., the angle chosen has gone
+        this.select.value = layout;
+        this.select.style.display = shown.length ? 'block' : 'none';
+
+        const locked = !rootView || !rootView.canControl();
+        for (const angle of shown) {
+            const { label, buttons } = this.tiles[angle.id];
+            label.textContent = `${angle.asset.name} ${angle.offset < 0 ? '' : '+'}${angle.offset.toFixed(1)}s`;
+            buttons.forEach(button => button.disabled = locked);
+        }
+        this.arrange(layout, shown.map(angle => this.tiles[angle.id].element));
+    }
+
+    // positions are percentages of the container, whose stylesheet places the main video on its
+    // own below the timebar
+    arrange(layout, tiles) {
+        const main = this.rootView && this.rootView.videoElem;
+        const place = (element, left, top, width, height) => Object.assign(element.style, { display: '', left: `${left}%`, top: `${top}%`, width: `${width}%`, height: `${height}%` });
+        const hide = element => element.style.display = 'none';
+        if (main) ['display', 'left', 'top', 'width', 'height', 'visibility'].forEach(property => main.style.removeProperty(property));
+        this.hidesMain = false;
+        if (!tiles.length) return;
+
+        const areaHeight = 100 - VIDEO_AREA_TOP;
+        if (layout === 'side') {
+            const all = main ? [main, ...tiles] : tiles;
+            const columns = Math.ceil(Math.sqrt(all.length)), rows = Math.ceil(all.length / columns);
+            all.forEach((element, i) => place(element, (i % columns) * 100 / columns, VIDEO_AREA_TOP + Math.floor(i / columns) * areaHeight / rows, 100 / columns, areaHeight / rows));
+        } else if (layout === 'pip') {
+            tiles.forEach((element, i) => place(element, 75, 66 - i * 24, 24, 22)); // stacked up the right-hand side, above the drawing tools
+        } else if (layout === 'main') tiles.forEach(hide);
+        else {
+            const focus = this.tiles[layout.slice('angle:'.length)].element;
+            tiles.forEach(element => (element === focus ? place(element, 0, VIDEO_AREA_TOP, 100, areaHeight) : hide(element)));
+            if (main) main.style.visibility = 'hidden'; // but still playing, since it sets the pace and supplies the sound
+            this.hidesMain = true;
+        }
+    }
+}
+
+// each viewer's own choice among the caption tracks of the current video.
+// the chosen language is remembered across videos and sessions.
+class CaptionsView {
+    constructor(root) {
+        const element = this.element = root.getElementById('captions');
+        element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        element.addEventListener('change', () => {
+            this.chooseLanguage(element.value);
+            if (!this.rootView) return;
+            this.rootView.loadCaptionTracks(); // in case the chosen track failed to load before
+            this.rootView.showCaptions();
+        });
+
+        this.rootView = null;
+        try { this.language = window.localStorage.getItem(CAPTION_LANGUAGE_KEY) || ''; } catch (e) { this.language = ''; }
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.setCaptions([]);
+    }
+
+    chooseLanguage(language) {
+        this.language = language;
+        try { window.localStorage.setItem(CAPTION_LANGUAGE_KEY, language); } catch (e) { /* not remembered */ }
+    }
+
+    // captions are { id, label, language }.  the option values are languages, with "" for off.
+    setCaptions(captions) {
+        const element = this.element;
+        element.textContent = '';
+        element.style.display = captions.length ? 'block' : 'none';
+        const addOption = (value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            element.appendChild(option);
+        };
+        addOption('', 'captions off');
+        captions.forEach(caption => addOption(caption.language, caption.label));
+        element.value = captions.some(caption => caption.language === this.language) ? this.language : '';
+    }
+
+    // the chosen language, if the current video has a caption track for it
+    chosenLanguage() { return this.element.value; }
+}
+
+// a collapsible list of everyone in the session, with the playback status each of them reports
+class RosterView {
+    constructor(root) {
+        const element = this.element = root.getElementById('roster');
+        this.header = element.querySelector('.header');
+        this.table = element.querySelector('table');
+        element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        this.header.addEventListener('click', () => {
+            element.classList.toggle('expanded');
+            this.render();
+        });
+        this.presenterButton = element.querySelector('.presenter');
+        this.presenterButton.addEventListener('click', () => this.rootView && this.rootView.handlePresenterButton());
+
+        this.rootView = null;
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.render();
+    }
+
+    render() {
+        const { rootView } = this;
+        const model = rootView && rootView.model;
+        const viewers = model ? Object.entries(model.viewers) : [];
+        this.header.textContent = `${viewers.length} viewer${viewers.length === 1 ? '' : 's'}`;
+        this.table.textContent = '';
+
+        const isHost = model && model.presenterMode && model.hosts.includes(rootView.viewId);
+        const hasRequested = model && model.controlRequests.includes(rootView.viewId);
+        this.presenterButton.style.display = model ? '' : 'none';
+        this.presenterButton.disabled = hasRequested;
+        if (!model || !model.presenterMode) this.presenterButton.textContent = 'start presenting';
+        else if (isHost) this.presenterButton.textContent = 'stop presenting';
+        else this.presenterButton.textContent = hasRequested ? 'control requested' : 'request control';
+        if (!this.element.classList.contains('expanded')) return;
+
+        const addRow = (cells, tag = 'td') => {
+            const row = document.createElement('tr');
+            for (const text of cells) {
+                const cell = document.createElement(tag);
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+            this.table.appendChild(row);
+            return row;
+        };
+        const addButton = (row, label, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            row.lastChild.appendChild(button);
+        };
+        addRow(['viewer', 'video', 'state', 'drift', 'boost', ''], 'th');
+        viewers.sort(([, a], [, b]) => a.number - b.number);
+        for (const [viewId, viewer] of viewers) {
+            const status = viewer.status || {};
+            let badge = '';
+            if (model.presenterMode && model.hosts.includes(viewId)) badge = ' \u2605';
+            else if (model.controlRequests.includes(viewId)) badge = ' \u270b';
+            const row = addRow([
+                `${model.viewerName(viewId)}${viewId === rootView.viewId ? ' (you)' : ''}${badge}`,
+                status.loaded ? 'loaded' : '-',
+                status.state || '-',
+                typeof status.driftMS === 'number' ? `${status.driftMS}ms` : '-',
+                status.boost ? `${status.boost > 0 ? '+' : ''}${status.boost}%` : '-',
+                ''
+            ]);
+            if (isHost && viewId !== rootView.viewId) {
+                if (model.hosts.includes(viewId)) addButton(row, 'revoke', () => rootView.handleControl('revoke-control', viewId));
+                else {
+                    addButton(row, 'hand over', () => rootView.handleControl('grant-control', viewId, true));
+                    addButton(row, 'add host', () => rootView.handleControl('grant-control', viewId));
+                }
+            }
+            if (status.state === 'stepping' || status.state === 'unplayable' || Math.abs(status.driftMS) > 500) row.classList.add('unhealthy');
+        }
+    }
+}
+
+// the shared history of playback actions, newest first, in a collapsible list.  clicking an action
+// takes everyone back to where it left the video; "undo last seek" returns to where the latest
+// seek was from.
+class HistoryView {
+    constructor(root) {
+        const element = this.element = root.getElementById('history');
+        this.header = element.querySelector('.header');
+        this.list = element.querySelector('ol');
+        element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        this.header.addEventListener('click', () => {
+            element.classList.toggle('expanded');
+            this.render();
+        });
+        this.undoButton = element.querySelector('.undo');
+        this.undoButton.addEventListener('click', () => this.rootView && this.rootView.handleHistory('undo-seek'));
+
+        this.rootView = null;
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.render();
+    }
+
+    render() {
+        const { rootView } = this;
+        const history = rootView ? rootView.model.history : [];
+        this.element.style.display = history.length ? 'block' : 'none';
+        const locked = !rootView || !rootView.canControl();
+        this.undoButton.disabled = locked || !history.some(action => action.kind === 'seek' && !action.undone && action.from !== null);
+        this.list.textContent = '';
+        if (!this.element.classList.contains('expanded')) return;
+
+        for (const action of history.slice().reverse()) {
+            const item = document.createElement('li');
+            item.textContent = `${this.clockTime(action.time)} ${this.describe(action)}`;
+            if (action.undone) item.classList.add('undone');
+            if (!locked) {
+                item.title = 'take everyone back to here';
+                item.addEventListener('click', () => rootView.handleHistory('jump-to-action', { actionId: action.id }));
+            }
+            this.list.appendChild(item);
+        }
+    }
+
+    // the local time of day at the given session time
+    clockTime(time) {
+        return new Date(Date.now() - (this.rootView.now() - time)).toLocaleTimeString();
+    }
+
+    describe({ kind, viewId, who, hash, name, position, from, rate }) {
+        const { rootView } = this;
+        // positions are logged unwrapped, so in the current video they are shown as it wraps them
+        const { videoView } = rootView;
+        const isCurrent = videoView && rootView.model.asset && rootView.model.asset.hash === hash;
+        const at = seconds => formatTime(isCurrent ? videoView.wrappedTime(seconds) : seconds);
+
+        const actor = viewId === rootView.viewId ? 'you' : (who || 'auto');
+        let what;
+        switch (kind) {
+            case 'play': what = `played from ${at(position)}`; break;
+            case 'pause': what = `paused at ${at(position)}`; break;
+            case 'seek': what = from === null ? `moved to ${at(position)} in ${name}` : `moved from ${at(from)} to ${at(position)}`; break;
+            case 'speed': what = `set the speed to ${rate}x`; break;
+            case 'asset': what = `switched to ${name}`; break;
+            case 'undo': what = `undid a seek, back to ${at(position)}`; break;
+            default: what = kind;
+        }
+        return `${actor}: ${what}`;
+    }
+}
+
+// a button for recording the A-B loop of the current video as a clip, which is added to the
+// playlist.  while a clip is being recorded, the button shows its progress, and cancels it.
+class ClipView {
+    constructor(root) {
+        const button = this.button = root.getElementById('clip');
+        button.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        button.addEventListener('click', () => this.rootView && this.rootView.handleClipButton());
+
+        this.rootView = null;
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.show(false, null);
+    }
+
+    // progress is the proportion recorded so far, or null if no clip is being recorded
+    show(available, progress) {
+        const recording = progress !== null;
+        this.button.disabled = !available && !recording;
+        this.button.textContent = recording ? `\u2702 ${Math.floor(100 * progress)}% \u2715` : '\u2702 clip';
+        this.button.title = recording ? 'cancel the clip' : 'record the A-B loop (shift-drag in the strip at top) as a clip, and add it to the playlist';
+    }
+}
+
+// a warning for everyone when some viewers can't play the current video
+class PlayabilityView {
+    constructor(root) {
+        this.element = root.getElementById('playability');
+        this.element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        this.rootView = null;
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.render();
+    }
+
+    render() {
+        const { rootView } = this;
+        const asset = rootView && rootView.model.asset;
+        const unplayable = asset ? Object.entries(rootView.model.unplayable[asset.hash] || {}) : [];
+        this.element.style.display = unplayable.length ? 'block' : 'none';
+        if (!unplayable.length) return;
+
+        const count = unplayable.length;
+        const includesMe = unplayable.some(([viewId]) => viewId === rootView.viewId);
+        this.element.textContent = `${count} viewer${count === 1 ? '' : 's'}${includesMe ? ' (including you)' : ''} can't play this file.  Shift-drop another encoding of it to offer an alternative.`;
+        this.element.title = unplayable.map(([viewId, reason]) => `${rootView.model.viewerName(viewId)}: ${reason}`).join('\n');
+    }
+}
+
+// wait mode: a checkbox in the roster for turning it on and off, and an indicator of how many
+// viewers a held playback is still waiting for
+class WaitingView {
+    constructor(root) {
+        this.element = root.getElementById('waiting');
+        this.element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        const checkbox = this.checkbox = root.querySelector('#roster .waitmode input');
+        checkbox.addEventListener('change', () => this.rootView && this.rootView.handleWaitMode(checkbox.checked));
+        this.rootView = null;
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.render();
+    }
+
+    render() {
+        const { rootView } = this;
+        const model = rootView && rootView.model;
+        this.checkbox.checked = !!(model && model.waitForEveryone);
+        this.checkbox.disabled = !rootView || !rootView.canControl();
+
+        const unready = model ? model.unreadyViewers() : [];
+        this.element.style.display = unready.length ? 'block' : 'none';
+        if (!unready.length) return;
+
+        const count = unready.length;
+        this.element.textContent = `waiting for ${count} viewer${count === 1 ? '' : 's'}`;
+        this.element.title = unready.map(viewId => `${model.viewerName(viewId)}${viewId === rootView.viewId ? ' (you)' : ''}`).join('\n');
+    }
+}
+
+// a button in the roster for emptying this browser's cache of video data, labelled with how much
+// is cached.  the label is refreshed whenever the pointer comes over it.
+class CacheView {
+    constructor(root) {
+        const button = this.button = root.querySelector('#roster .clearcache');
+        button.addEventListener('pointerenter', () => this.render());
+        button.addEventListener('click', () => this.rootView && this.rootView.clearCache());
+        this.rootView = null;
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.render();
+    }
+
+    async render() {
+        const { rootView } = this;
+        this.button.style.display = rootView && rootView.player.cache.limit ? '' : 'none';
+        if (!rootView) return;
+
+        const { bytes } = await rootView.player.cache.usage();
+        this.button.textContent = `clear video cache (${Math.round(bytes / 1024 / 1024)}MB)`;
+    }
+}
+
+// zooming into the video, with the wheel or a pinch, and panning around it by dragging, for
+// everyone or - in free-look mode - just for this viewer.  the panel shows the zoom level, and
+// has buttons for zooming out and for switching between free look and the shared view.
+class ViewportView {
+    constructor(root) {
+        const container = root.getElementById('container');
+        const isOnVideo = evt => evt.composedPath()[0] === container; // rather than on a control (the video itself takes no pointer events)
+        container.addEventListener('wheel', evt => {
+            if (!this.rootView || !isOnVideo(evt)) return;
+            evt.preventDefault();
+            const pixels = evt.deltaMode === WheelEvent.DOM_DELTA_LINE ? evt.deltaY * 16 : evt.deltaY;
+            this.rootView.zoomAt(evt.clientX, evt.clientY, Math.exp(-pixels * WHEEL_ZOOM_RATE));
+        }, { passive: false });
+        container.addEventListener('pointerdown', evt => {
+            if (!this.rootView || !isOnVideo(evt)) return;
+            if (!this.pointers.size) this.dragged = false;
+            this.pointers.set(evt.pointerId, { x: evt.clientX, y: evt.clientY, startX: evt.clientX, startY: evt.clientY });
+        });
+        container.addEventListener('pointermove', evt => this.onPointerMove(evt));
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => container.addEventListener(type, evt => this.pointers.delete(evt.pointerId)));
+
+        const element = this.element = root.getElementById('zoom');
+        element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        this.level = element.querySelector('.level');
+        this.resetButton = element.querySelector('.reset');
+        this.resetButton.addEventListener('click', () => this.rootView && this.rootView.changeViewport(null));
+        this.freeLookButton = element.querySelector('.freelook');
+        this.freeLookButton.addEventListener('click', () => this.rootView && this.rootView.setFreeLook(!this.rootView.freeLook));
+
+        this.publish = throttle(viewport => this.rootView && this.rootView.publishViewport(viewport), VIEWPORT_THROTTLE);
+        this.rootView = null;
+        this.pointers = new Map(); // pointerId => { x, y, startX, startY } of each pointer down on the video
+        this.dragged = false; // whether the latest pointer gesture panned or pinched, so wasn't a click
+    }
+
+    setView(view) {
+        this.rootView = view;
+        this.pointers.clear();
+        this.render();
+    }
+
+    // one pointer pans a zoomed video; two pinch-zoom it around their midpoint
+    onPointerMove(evt) {
+        const pointer = this.pointers.get(evt.pointerId);
+        if (!pointer || !this.rootView) return;
+
+        const [other] = [...this.pointers.values()].filter(p => p !== pointer);
+        const dx = evt.clientX - pointer.x, dy = evt.clientY - pointer.y;
+        if (other && this.pointers.size === 2) {
+            const before = Math.hypot(pointer.x - other.x, pointer.y - other.y);
+            const after = Math.hypot(evt.clientX - other.x, evt.clientY - other.y);
+            if (before > 0) this.rootView.zoomAt((evt.clientX + other.x) / 2, (evt.clientY + other.y) / 2, after / before);
+            this.dragged = true;
+        } else if (this.pointers.size === 1 && this.rootView.shownViewport()) {
+            if (!this.dragged && Math.hypot(evt.clientX - pointer.startX, evt.clientY - pointer.startY) < PAN_THRESHOLD) return; // might still be a click
+            this.rootView.panBy(dx, dy); // the whole way from the start, on the first move past the threshold
+            this.dragged = true;
+        }
+        pointer.x = evt.clientX;
+        pointer.y = evt.clientY;
+    }
+
+    render() {
+        const { rootView } = this;
+        this.element.style.display = rootView && rootView.videoView ? 'block' : 'none';
+        if (!rootView) return;
+
+        const viewport = rootView.shownViewport();
+        this.level.textContent = `${viewport ? (1 / viewport.width).toFixed(1) : '1.0'}x`;
+        this.resetButton.disabled = !viewport || (!rootView.freeLook && !rootView.canControl());
+        this.freeLookButton.textContent = rootView.freeLook ? 'back to shared view' : 'free look';
+        this.freeLookButton.title = rootView.freeLook ? 'show the region that everyone else is seeing' : 'zoom and pan just for yourself';
+    }
+}
+
+// buttons for showing the player fullscreen, and its video in a picture-in-picture window.
+// fullscreen takes the whole player, overlays and all - except on phones that only let a video
+// element itself go fullscreen, with the browser's own controls.
+class ScreenModesView {
+    constructor(host, root) {
+        this.host = host;
+        const element = root.getElementById('screenmodes');
+        element.addEventListener('pointerup', evt => evt.stopPropagation()); // not a play/pause click
+        this.pipButton = element.querySelector('.pip');
+        this.pipButton.addEventListener('click', () => this.togglePictureInPicture());
+        this.fullscreenButton = element.querySelector('.fullscreen');
+        this.fullscreenButton.addEventListener('click', () => this.toggleFullscreen());
+        this.onFullscreenChange = () => this.render();
+
+        this.rootView = null;
+    }
+
+    // the document is only listened to while there's a view, so that a player that has left its
+    // session can be dropped
+    setView(view) {
+        if (view && !this.rootView) document.addEventListener('fullscreenchange', this.onFullscreenChange);
+        else if (!view && this.rootView) document.removeEventListener('fullscreenchange', this.onFullscreenChange);
+        this.rootView = view;
+        this.render();
+    }
+
+    currentVideo() {
+        const { rootView } = this;
+        return rootView && rootView.videoView ? rootView.videoElem : null;
+    }
+
+    render() {
+        const video = this.currentVideo();
+        this.pipButton.style.display = document.pictureInPictureEnabled ? '' : 'none';
+        this.pipButton.disabled = !video;
+        this.pipButton.textContent = video && document.pictureInPictureElement === video ? 'exit pip' : 'pip';
+
+        const canFullscreen = document.fullscreenEnabled || 'webkitEnterFullscreen' in HTMLVideoElement.prototype;
+        this.fullscreenButton.style.display = canFullscreen ? '' : 'none';
+        this.fullscreenButton.textContent = document.fullscreenElement === this.host ? 'exit fullscreen' : 'fullscreen';
+    }
+
+    async togglePictureInPicture() {
+        const video = this.currentVideo();
+        if (!video) return;
+
+        try {
+            if (document.pictureInPictureElement === video) await document.exitPictureInPicture();
+            else await video.requestPictureInPicture();
+        } catch (err) {
+            View.displayWarning(`Picture-in-picture failed: ${err.message}`);
+        }
+        this.render();
+    }
+
+    async toggleFullscreen() {
+        try {
+            if (document.fullscreenElement === this.host) await document.exitFullscreen();
+            else if (document.fullscreenEnabled) await this.host.requestFullscreen();
+            else {
+                const video = this.currentVideo();
+                if (video) video.webkitEnterFullscreen();
+            }
+        } catch (err) {
+            View.displayWarning(`Fullscreen failed: ${err.message}`);
+        }
+    }
+}
+
+// Video2DView is an interface over an HTML video element.
+// its readyPromise resolves once the video is available to play, or rejects if the element
+// reports an error before then (e.g., because it can't decode the video).
+// if the video is fed by a ChunkedMediaStream or ManifestStream, the stream must be supplied too
+// (and a ManifestStream has no url, because its player sets the element's src itself).
+export class Video2DView {
+    constructor(url, stream = null) {
+        this.url = url;
+        this.stream = stream;
+        this.video = document.createElement("video");
+        this.video.autoplay = false;
+        this.video.loop = true;
+        this.loopRange = null;
+        this.isPlaying = false;
+        this.isBlocked = false; // unless we find out to the contrary, on trying to play
+        this.isStarting = false; // while a play() is being tried
+        this.seekTarget = null; // the time to which setTime() last seeked the video
+
+        this.readyPromise = new Promise((resolved, rejected) => {
+            this._ready = () => resolved(this);
+            this._failed = err => rejected(Error(err));
+        });
+
+        this.video.oncanplay = () => {
+            if (this.video.duration === Infinity && !this.stream) {
+                // WebM recorded by a MediaRecorder (as clips are) has no duration in its header.
+                // seeking far past the end makes the element scan the file for it.
+                if (!this.probingDuration) {
+                    this.probingDuration = true;
+                    this.video.currentTime = Number.MAX_SAFE_INTEGER;
+                }
+                return;
+            }
+            this.duration = this.video.duration; // ondurationchange is (apparently) always ahead of oncanplay
+            this._ready();
+        };
+
+        this.video.ondurationchange = () => {
+            if (this.probingDuration && Number.isFinite(this.video.duration)) {
+                this.probingDuration = false;
+                this.video.currentTime = 0; // and canplay follows
+            }
+        };
+
+        this.video.onerror = () => {
+            let err;
+            const errCode = this.video.error.code;
+            switch (errCode) {
+                case 1: err = "video loading aborted"; break;
+                case 2: err = "network loading error"; break;
+                case 3: err = "video decoding failed / corrupted data or unsupported codec"; break;
+                case 4: err = "video not supported"; break;
+                default: err = "unknown video error";
+            }
+            console.log(`Error: ${err} (errorcode=${errCode})`);
+            this._failed(err); // no effect once it's ready
+        };
+
+        /* other events, that can help with debugging
+        [ "pause", "play", "seeking", "seeked", "stalled", "waiting" ].forEach(k => { this.video[`on${k}`] = () => console.log(k); });
+        */
+
+        this.video.crossOrigin = "anonymous";
+
+        if (this.stream) this.stream.attach(this.video);
+        if (this.url) {
+            this.video.src = this.url;
+            this.video.load();
+        }
+    }
+
+    width() { return this.video.videoWidth; }
+    height() { return this.video.videoHeight; }
+
+    // looping (of the whole video) is either on, or off so that the video plays through to its end once.
+    // while an A-B loopRange { start, end } (in seconds) is set, it takes precedence.
+    setLooping(looping, loopRange) {
+        this.loopRange = loopRange;
+        this.video.loop = looping || !!loopRange; // when there's a range, we wrap explicitly but never let the element stop at its end
+    }
+
+    wrappedTime(videoTime, guarded) {
+        if (this.duration) {
+            const range = this.loopRange;
+            if (range) {
+                if (videoTime > range.end) videoTime = range.start + (videoTime - range.end) % (range.end - range.start);
+            } else if (this.video.loop) {
+                while (videoTime > this.duration) videoTime -= this.duration; // assume it's looping, with no gap between plays
+            } else videoTime = Math.min(videoTime, this.duration);
+            if (guarded) videoTime = Math.min(this.duration - 0.1, videoTime); // the video element freaks out on being told to seek very close to the end
+        }
+        return videoTime;
+    }
+
+    async play(videoTime) {
+        // return true if video play started successfully
+        this.setTime(this.wrappedTime(videoTime, true));
+        this.isPlaying = true; // even if it turns out to be blocked by the browser
+        this.isStarting = true;
+        // following guidelines from https://developer.mozilla.org/docs/Web/API/HTMLMediaElement/play
+        try {
+            await this.video.play(); // will throw exception if blocked
+            this.isBlocked = false;
+        } catch (err) {
+            console.warn("video play blocked");
+            this.isBlocked = this.isPlaying; // just in case isPlaying was set false while we were trying
+        }
+        this.isStarting = false;
+        return !this.isBlocked;
+    }
+
+    pause(videoTime) {
+        this.isPlaying = this.isBlocked = false; // might not be blocked next time.
+        this.setStatic(videoTime);
+    }
+
+    setStatic(videoTime) {
+        if (videoTime !== undefined) this.setTime(this.wrappedTime(videoTime, true)); // true => guarded from values too near the end
+        this.video.pause(); // no return value; synchronous, instantaneous?
+    }
+
+    // every seek made by the player goes through here, so that seeks made by anything else (such
+    // as the browser's own controls) can be told apart
+    setTime(videoTime) {
+        this.seekTarget = videoTime;
+        this.video.currentTime = videoTime;
+    }
+
+    dispose() {
+        try {
+            if (this.stream) this.stream.dispose();
+            else if (this.url.startsWith('blob:')) URL.revokeObjectURL(this.url); // not for a URL asset's own url
+            if (this.texture) {
+                this.texture.dispose();
+                delete this.texture;
+            }
+            delete this.video;
+        } catch (e) { console.warn(`error in Video2DView cleanup: ${e}`); }
+    }
+}
+
+// a shared model for handling video loads and interactions
+class SyncedVideoModel extends Model {
+    init(options, persistedSession) {
+        super.init(options);
+        this.playlist = []; // ordered entries of the form { id, asset }
+        this.nextEntryId = 1;
+        this.currentEntryId = null;
+        this.asset = null; // the asset of the current entry, if any
+        this.handles = {};
+        this.uploads = {}; // uploadId => { uploadId, viewId, name, size, hash, phase, done, error }
+        this.unplayable = {}; // asset hash => { viewId: reason } for each viewer that can't play any of its encodings
+        this.isPlaying = false;
+        this.startOffset = null;
+        this.pausedTime = 0;
+        this.playbackRate = 1;
+        this.positions = {}; // asset hash => last paused position, in seconds, so that each video can be resumed where it was left
+        this.persistPending = false;
+        this.endMode = 'advance'; // 'loop', 'stop' or 'advance'
+        this.loopRange = null; // A-B loop within the current asset, as { start, end } in seconds
+        this.viewport = null; // the region of the current video's frame that everyone is zoomed in on, as { x, y, width, height } proportions of the frame; null for the whole frame
+        this.annotations = {}; // asset hash => array of { id, time, x, y, text, viewId }
+        this.nextAnnotationId = 1;
+        this.captions = {}; // asset hash => array of { id, name, language, handle }
+        this.nextCaptionId = 1;
+        this.strokes = []; // drawn over the video: { id, viewId, hash, time, tool, color, points }
+        this.nextStrokeId = 1;
+        this.strokeMode = 'resume'; // 'resume': strokes are cleared when playback resumes; 'frame': each stays with the frame it was drawn on
+        this.angles = {}; // asset hash => array of { id, asset, offset }: other camera angles of that video, where offset is the angle's time (in seconds) at the video's time 0
+        this.nextAngleId = 1;
+        this.viewers = {}; // viewId => { number, status }
+        this.nextViewerNumber = 1;
+        this.presenterMode = false; // if true, only the hosts can control playback and the playlist
+        this.hosts = []; // viewIds
+        this.controlRequests = []; // viewIds of viewers who have asked the hosts for control
+        this.waitForEveryone = false; // wait mode: playback is held until every viewer is ready for it
+        this.hold = null; // in wait mode, playback waiting to start: { id, position, ready: { viewId: true } }
+        this.nextHoldId = 1;
+        this.history = []; // the latest HISTORY_LENGTH actions, oldest first (see recordAction)
+        this.nextActionId = 1;
+
+        this.subscribe(this.id, 'add-asset', this.addAsset);
+        this.subscribe(this.id, 'stored-data', this.storedData);
+        this.subscribe(this.id, 'stored-chunk', this.storedChunk);
+        this.subscribe(this.id, 'upload-started', this.uploadStarted);
+        this.subscribe(this.id, 'upload-progress', this.uploadProgress);
+        this.subscribe(this.id, 'upload-failed', this.uploadFailed);
+        this.subscribe(this.id, 'upload-cancelled', this.uploadCancelled);
+        this.subscribe(this.id, 'set-play-state', this.setPlayState);
+        this.subscribe(this.id, 'select-entry', this.selectEntry);
+        this.subscribe(this.id, 'remove-entry', this.removeEntry);
+        this.subscribe(this.id, 'move-entry', this.moveEntry);
+        this.subscribe(this.id, 'next-entry', this.nextEntry);
+        this.subscribe(this.id, 'previous-entry', this.previousEntry);
+        this.subscribe(this.id, 'video-ended', this.videoEnded);
+        this.subscribe(this.id, 'set-end-mode', this.setEndMode);
+        this.subscribe(this.id, 'set-loop-range', this.setLoopRange);
+        this.subscribe(this.id, 'set-viewport', this.setViewport);
+        this.subscribe(this.id, 'add-annotation', this.addAnnotation);
+        this.subscribe(this.id, 'remove-annotation', this.removeAnnotation);
+        this.subscribe(this.id, 'add-caption', this.addCaption);
+        this.subscribe(this.id, 'set-angle-offset', this.setAngleOffset);
+        this.subscribe(this.id, 'remove-angle', this.removeAngle);
+        this.subscribe(this.id, 'add-stroke', this.addStroke);
+        this.subscribe(this.id, 'clear-strokes', this.clearStrokes);
+        this.subscribe(this.id, 'set-stroke-mode', this.setStrokeMode);
+        this.subscribe(this.id, 'report-status', this.reportStatus);
+        this.subscribe(this.id, 'share-pointer', this.sharePointer);
+        this.subscribe(this.id, 'report-playability', this.reportPlayability);
+        this.subscribe(this.sessionId, 'view-join', this.viewJoined);
+        this.subscribe(this.sessionId, 'view-exit', this.viewExited);
+        this.subscribe(this.id, 'set-presenter-mode', this.setPresenterMode);
+        this.subscribe(this.id, 'request-control', this.requestControl);
+        this.subscribe(this.id, 'grant-control', this.grantControl);
+        this.subscribe(this.id, 'revoke-control', this.revokeControl);
+        this.subscribe(this.id, 'jump-to-action', this.jumpToAction);
+        this.subscribe(this.id, 'undo-seek', this.undoSeek);
+        this.subscribe(this.id, 'set-wait-mode', this.setWaitMode);
+        this.subscribe(this.id, 'report-readiness', this.reportReadiness);
+        this.subscribe(this.id, 'viewer-stalled', this.viewerStalled);
+
+        if (persistedSession) this.restoreEverything(persistedSession);
+        this.persistWhilePlaying();
+    }
+
+    // 'add-asset' is published with the meta data, likely before the upload finished, and the
+    // viewId of the uploader.  an asset from the upload pipeline also has an uploadId.  if
+    // alternateOf is specified, the asset is an alternate encoding of the asset with that hash,
+    // and if angleOf is, another camera angle of it; otherwise, with select, its new playlist
+    // entry becomes the current one.
+    addAsset({ viewId, uploadId, alternateOf, angleOf, select, ...asset }) {
+        if (!this.canControl(viewId)) return;
+
+        const upload = this.uploads[uploadId];
+        if (uploadId && !upload) return; // already cancelled, or failed
+        if (alternateOf) this.addAlternate(alternateOf, asset);
+        else if (angleOf) this.addAngle(angleOf, asset);
+        else {
+            const entry = this.queueAsset(asset);
+            if (select) this.switchToEntry(entry.id, viewId);
+        }
+        if (upload) {
+            upload.hash = asset.hash;
+            if (assetIsStored(asset)) this.finishUploads(asset.hash); // nothing needed uploading
+        }
+    }
+
+    // the asset is queued at the end of the playlist, and only becomes current if nothing else is.
+    // an asset that is uploaded in chunks (specifying chunkCount) shares its array of chunk
+    // handles with any other asset that has the same hash.
+    queueAsset(asset) {
+        const entry = { id: this.nextEntryId++, asset };
+        this.playlist.push(entry);
+        encodingsOf(asset).forEach(encoding => this.linkHandles(encoding));
+        if (this.currentEntryId === null) this.setCurrentEntry(entry.id, false);
+        this.publish(this.id, 'playlist-changed');
+        return entry;
+    }
+
+    linkHandles(asset) {
+        if (asset.chunkCount) {
+            if (!Array.isArray(this.handles[asset.hash])) this.handles[asset.hash] = new Array(asset.chunkCount).fill(null);
+            asset.chunks = this.handles[asset.hash];
+        } else if (asset.handle && asset.hash) this.handles[asset.hash] = asset.handle;
+    }
+
+    // an alternate encoding is attached to every playlist entry for the asset with the given hash.
+    // views that couldn't play any of that asset's encodings hear about it through 'encodings-changed'.
+    addAlternate(hash, alternate) {
+        const assets = this.playlist.map(entry => entry.asset).filter(asset => asset.hash === hash && asset.hash !== alternate.hash);
+        if (!assets.length) return;
+
+        this.linkHandles(alternate);
+        for (const asset of assets) {
+            const alternates = asset.alternates || (asset.alternates = []);
+            if (!alternates.some(a => a.hash === alternate.hash)) alternates.push(alternate);
+        }
+        this.publish(this.id, 'playlist-changed');
+        this.publish(this.id, 'encodings-changed');
+        this.schedulePersist();
+    }
+
+    /* camera angles */
+
+    // the angles of a video play alongside it, locked to the shared clock.  each view lays them
+    // out as its viewer chooses.
+    addAngle(hash, angleAsset) {
+        if (hash === angleAsset.hash) return;
+
+        const angles = this.angles[hash] || (this.angles[hash] = []);
+        if (angles.some(angle => angle.asset.hash === angleAsset.hash)) return;
+
+        this.linkHandles(angleAsset);
+        angles.push({ id: this.nextAngleId++, asset: angleAsset, offset: 0 });
+        this.publish(this.id, 'angles-changed');
+        this.schedulePersist();
+    }
+
+    findAngle(hash, angleId) {
+        return (this.angles[hash] || []).find(angle => angle.id === angleId);
+    }
+
+    // an angle's offset is adjusted to line it up with the video
+    setAngleOffset({ viewId, hash, angleId, offset }) {
+        const angle = this.findAngle(hash, angleId);
+        if (!angle || !this.canControl(viewId)) return;
+
+        angle.offset = offset;
+        this.publish(this.id, 'angles-changed');
+        this.schedulePersist();
+    }
+
+    removeAngle({ viewId, hash, angleId }) {
+        if (!this.findAngle(hash, angleId) || !this.canControl(viewId)) return;
+
+        this.angles[hash] = this.angles[hash].filter(angle => angle.id !== angleId);
+        if (!this.angles[hash].length) delete this.angles[hash];
+        this.publish(this.id, 'angles-changed');
+        this.schedulePersist();
+    }
+
+    // 'stored-data' is published when the upload finished
+    storedData({hash, handle}) {
+        this.handles[hash] = handle;
+        let currentChanged = false;
+        for (const { asset } of this.playlist) {
+            if (asset.hash === hash && !asset.handle) {
+                asset.handle = handle;
+                if (asset === this.asset) currentChanged = true;
+            }
+        }
+        if (currentChanged) this.publish(this.id, 'asset-changed');
+        this.publish(this.id, 'playlist-changed');
+        this.schedulePersist();
+    }
+
+    // 'stored-chunk' is published as each chunk of a chunked upload is stored.  views that are
+    // streaming the asset hear about it through 'chunk-stored'.
+    storedChunk({ hash, index, handle }) {
+        const chunks = this.handles[hash];
+        if (!Array.isArray(chunks) || chunks[index]) return;
+
+        chunks[index] = handle;
+        this.publish(this.id, 'chunk-stored', { hash, index });
+        if (index === 0 && this.asset && this.asset.hash === hash) this.publish(this.id, 'asset-changed'); // now loadable
+        else if (index === 0 && this.asset && encodingsOf(this.asset).some(encoding => encoding.hash === hash)) this.publish(this.id, 'encodings-changed');
+        else if (index === 0 && this.asset && (this.angles[this.asset.hash] || []).some(angle => angle.asset.hash === hash)) this.publish(this.id, 'angles-changed');
+        if (chunks.every(h => h)) {
+            this.finishUploads(hash);
+            this.publish(this.id, 'playlist-changed');
+            this.schedulePersist();
+        }
+    }
+
+    /* uploads */
+
+    // every upload is listed, with its progress, for all viewers.  an upload's phase is 'queued'
+    // (behind others from the same view), 'reading' (hashing the file), 'storing' or 'failed';
+    // done is the number of bytes read or stored so far.
+    uploadStarted({ viewId, uploadId, name, size }) {
+        if (!this.canControl(viewId)) return;
+
+        this.uploads[uploadId] = { uploadId, viewId, name, size, hash: null, phase: 'queued', done: 0, error: null };
+        this.publish(this.id, 'uploads-changed');
+    }
+
+    uploadProgress({ viewId, uploadId, phase, done }) {
+        const upload = this.uploads[uploadId];
+        if (!upload || upload.viewId !== viewId || upload.phase === 'failed') return;
+
+        upload.phase = phase;
+        upload.done = done;
+        this.publish(this.id, 'uploads-changed');
+    }
+
+    // a failed upload is rolled back, but stays listed for a while so that everyone can see what happened
+    uploadFailed({ viewId, uploadId, error }) {
+        const upload = this.uploads[uploadId];
+        if (!upload || upload.viewId !== viewId) return;
+
+        this.rollBackUpload(upload);
+        upload.phase = 'failed';
+        upload.error = error;
+        this.publish(this.id, 'uploads-changed');
+        this.future(FAILED_UPLOAD_DISPLAY_TIME).forgetUpload(uploadId);
+    }
+
+    uploadCancelled({ viewId, uploadId }) {
+        const upload = this.uploads[uploadId];
+        if (!upload || upload.viewId !== viewId) return;
+
+        this.rollBackUpload(upload);
+        this.forgetUpload(uploadId);
+    }
+
+    forgetUpload(uploadId) {
+        if (!this.uploads[uploadId]) return;
+
+        delete this.uploads[uploadId];
+        this.publish(this.id, 'uploads-changed');
+    }
+
+    // once an asset is completely stored, any uploads of it are done
+    finishUploads(hash) {
+        for (const upload of Object.values(this.uploads)) {
+            if (upload.hash === hash && upload.phase !== 'failed') this.forgetUpload(upload.uploadId);
+        }
+    }
+
+    // remove the playlist entries (or alternate encodings) for an upload's asset, unless it has
+    // been completely stored after all (e.g., by someone else uploading the same file)
+    rollBackUpload({ hash }) {
+        const chunks = hash && this.handles[hash];
+        if (!Array.isArray(chunks) || chunks.every(h => h)) return;
+
+        delete this.handles[hash];
+        this.playlist.filter(entry => entry.asset.hash === hash).forEach(entry => this.deleteEntry(this.entryIndex(entry.id)));
+        for (const { asset } of this.playlist) {
+            if (asset.alternates) asset.alternates = asset.alternates.filter(alternate => alternate.hash !== hash);
+        }
+        for (const [angleOf, angles] of Object.entries(this.angles)) {
+            this.angles[angleOf] = angles.filter(angle => angle.asset.hash !== hash);
+            if (!this.angles[angleOf].length) delete this.angles[angleOf];
+        }
+        this.publish(this.id, 'playlist-changed');
+        this.publish(this.id, 'angles-changed');
+        this.schedulePersist();
+    }
+
+    // the SyncedVideoView sends 'set-play-state' events when the user plays, pauses or scrubs the video.  the interface location of the user action responsible for this change of state is specified in actionSpec.
+    setPlayState(data) {
+        const { playbackRate = 1 } = data;
+        if (!PLAYBACK_RATES.includes(playbackRate) || !this.canControl(data.viewId)) return;
+
+        const from = this.currentPosition();
+        const wasPlaying = this.isPlaying || !!this.hold, previousRate = this.playbackRate;
+        this.updatePlayState(data);
+
+        // a play that is being held still counts as a play
+        let kind;
+        if (data.isPlaying !== wasPlaying) kind = data.isPlaying ? 'play' : 'pause';
+        else if (this.playbackRate !== previousRate) kind = 'speed';
+        else kind = 'seek';
+        this.recordAction(kind, data.viewId, { position: this.currentPosition(), from: kind === 'seek' ? from : null });
+    }
+
+    // in wait mode, a play is held (see holdPlayback) rather than started straight away
+    updatePlayState(data) {
+        const { isPlaying, startOffset, playbackRate = 1 } = data;
+        if (isPlaying && this.waitForEveryone) {
+            this.holdPlayback((this.now() - startOffset) / 1000 * playbackRate, data.actionSpec);
+            return;
+        }
+        this.hold = null; // an explicit pause or seek overrides any hold
+        this.storePlayState(data);
+    }
+
+    storePlayState(data) {
+        const { isPlaying, startOffset, pausedTime, playbackRate = 1, actionSpec } = data;
+        this.isPlaying = isPlaying;
+        this.startOffset = startOffset;
+        this.pausedTime = pausedTime;
+        this.playbackRate = playbackRate;
+        if (!isPlaying && this.asset) this.positions[this.asset.hash] = pausedTime;
+        if (isPlaying && this.strokeMode === 'resume') this.removeStrokes();
+        this.publish(this.id, 'play-state-changed', { isPlaying, startOffset, pausedTime, playbackRate, actionSpec });
+        this.schedulePersist();
+    }
+
+    /* wait mode */
+
+    setWaitMode({ viewId, enabled }) {
+        if (!this.canControl(viewId) || enabled === this.waitForEveryone) return;
+
+        this.waitForEveryone = enabled;
+        if (!enabled && this.hold) this.releaseHold(this.hold.id);
+        this.publish(this.id, 'wait-changed');
+        this.schedulePersist();
+    }
+
+    // playback from the given position is paused until every viewer has reported that it's ready
+    // to play from there (see SyncedVideoView.checkReadiness), or until WAIT_TIMEOUT has passed
+    holdPlayback(position, actionSpec) {
+        const id = this.nextHoldId++;
+        this.hold = { id, position, ready: {} };
+        this.storePlayState({ isPlaying: false, startOffset: null, pausedTime: position, playbackRate: this.playbackRate, actionSpec });
+        this.future(WAIT_TIMEOUT).releaseHold(id);
+        this.publish(this.id, 'wait-changed');
+    }
+
+    // the viewers that a hold is waiting for
+    unreadyViewers() {
+        return this.hold ? Object.keys(this.viewers).filter(viewId => !this.hold.ready[viewId]) : [];
+    }
+
+    reportReadiness({ viewId, holdId, ready }) {
+        const { hold } = this;
+        if (!hold || hold.id !== holdId || !this.viewers[viewId]) return;
+
+        if (ready) hold.ready[viewId] = true;
+        else delete hold.ready[viewId];
+        this.checkHold();
+    }
+
+    checkHold() {
+        if (!this.hold) return;
+
+        if (this.unreadyViewers().length) this.publish(this.id, 'wait-changed');
+        else this.releaseHold(this.hold.id);
+    }
+
+    // start the held playback, whether or not everyone is ready
+    releaseHold(holdId) {
+        const { hold } = this;
+        if (!hold || hold.id !== holdId) return; // already released, or overridden
+
+        this.hold = null;
+        const { playbackRate } = this;
+        this.storePlayState({ isPlaying: true, startOffset: this.now() - 1000 * hold.position / playbackRate, pausedTime: 0, playbackRate });
+        this.publish(this.id, 'wait-changed');
+    }
+
+    // a viewer whose video has stalled while playing holds everyone up until it has caught up
+    viewerStalled({ viewId }) {
+        if (!this.waitForEveryone || !this.isPlaying || !this.viewers[viewId]) return;
+        this.holdPlayback(this.currentPosition());
+    }
+
+    // the position reached in the current asset, in seconds.  while it's playing, this is
+    // unwrapped: past the end of the video, if it has been looping.
+    currentPosition() {
+        return this.isPlaying ? (this.now() - this.startOffset) / 1000 * this.playbackRate : this.pausedTime;
+    }
+
+    /* playlist */
+
+    entryIndex(entryId) { return this.playlist.findIndex(entry => entry.id === entryId); }
+
+    currentIndex() { return this.entryIndex(this.currentEntryId); }
+
+    // make the specified entry (or none, if entryId is null) the current one, starting from startTime
+    // (by default, its beginning) at the current playback rate.  the position reached in the
+    // previous entry's asset is remembered.  the views pick up the change through 'asset-changed'.
+    setCurrentEntry(entryId, isPlaying, startTime = 0) {
+        if (this.asset) this.positions[this.asset.hash] = this.currentPosition();
+
+        const entry = this.playlist[this.entryIndex(entryId)] || null;
+        this.currentEntryId = entry ? entry.id : null;
+        this.asset = entry ? entry.asset : null;
+        this.isPlaying = !!(entry && isPlaying);
+        this.startOffset = this.isPlaying ? this.now() - 1000 * startTime / this.playbackRate : null; // only valid if playing
+        this.pausedTime = startTime; // only valid if paused
+        this.loopRange = null;
+        this.viewport = null;
+        this.hold = null;
+        if (this.strokeMode === 'resume') this.removeStrokes();
+        this.publish(this.id, 'asset-changed');
+        this.publish(this.id, 'loop-changed');
+        this.publish(this.id, 'viewport-changed');
+        if (this.isPlaying && this.waitForEveryone) this.holdPlayback(startTime);
+        this.schedulePersist();
+    }
+
+    // the playlist operations published by views all carry the viewId of the requesting view
+    selectEntry({ viewId, entryId }) {
+        if (!this.canControl(viewId)) return;
+        this.switchToEntry(entryId, viewId);
+    }
+
+    // an entry that is switched to resumes from wherever its asset was left.  viewId is that of
+    // the viewer who switched to it, for the history.
+    switchToEntry(entryId, viewId) {
+        const index = this.entryIndex(entryId);
+        if (entryId === this.currentEntryId || index === -1) return;
+        const position = this.positions[this.playlist[index].asset.hash] || 0;
+        this.setCurrentEntry(entryId, this.isPlaying, position);
+        this.recordAction('asset', viewId, { position });
+        this.publish(this.id, 'playlist-changed');
+    }
+
+    removeEntry({ viewId, entryId }) {
+        if (!this.canControl(viewId)) return;
+
+        const index = this.entryIndex(entryId);
+        if (index === -1) return;
+
+        this.deleteEntry(index);
+        this.publish(this.id, 'playlist-changed');
+    }
+
+    deleteEntry(index) {
+        const [entry] = this.playlist.splice(index, 1);
+        if (entry.id === this.currentEntryId) {
+            // move on to whatever now occupies the removed entry's slot (or the new last entry)
+            const replacement = this.playlist[Math.min(index, this.playlist.length - 1)];
+            this.setCurrentEntry(replacement ? replacement.id : null, this.isPlaying);
+        }
+    }
+
+    moveEntry({ viewId, entryId, toIndex }) {
+        if (!this.canControl(viewId)) return;
+
+        const index = this.entryIndex(entryId);
+        if (index === -1) return;
+
+        const [entry] = this.playlist.splice(index, 1);
+        this.playlist.splice(Math.max(0, Math.min(this.playlist.length, toIndex)), 0, entry);
+        this.publish(this.id, 'playlist-changed');
+        this.schedulePersist();
+    }
+
+    nextEntry({ viewId }) {
+        if (!this.canControl(viewId)) return;
+
+        const next = this.playlist[this.currentIndex() + 1];
+        if (next) this.switchToEntry(next.id, viewId);
+    }
+
+    previousEntry({ viewId }) {
+        if (!this.canControl(viewId)) return;
+
+        const index = this.currentIndex();
+        if (index > 0) this.switchToEntry(this.playlist[index - 1].id, viewId);
+    }
+
+    /* end of video, and looping */
+
+    // 'video-ended' is published by every view that sees the current video reach its end, unless
+    // it's looping.  only the first report for the current entry has any effect: in 'advance' mode
+    // the next entry starts playing, and otherwise playback stops on the video's last frame.
+    videoEnded({ entryId, duration }) {
+        if (entryId !== this.currentEntryId || !this.isPlaying || this.endMode === 'loop' || this.loopRange) return;
+
+        const next = this.endMode === 'advance' && this.playlist[this.currentIndex() + 1];
+        if (next) {
+            const { hash } = this.asset;
+            this.setCurrentEntry(next.id, true);
+            this.recordAction('asset', null, { position: 0 });
+            delete this.positions[hash]; // it played through, so start it afresh next time
+            this.publish(this.id, 'playlist-changed');
+        } else {
+            this.updatePlayState({ isPlaying: false, startOffset: null, pausedTime: duration, playbackRate: this.playbackRate });
+        }
+    }
+
+    setEndMode({ viewId, mode }) {
+        if (!Object.hasOwn(END_MODES, mode) || !this.canControl(viewId)) return;
+
+        this.endMode = mode;
+        this.publish(this.id, 'loop-changed');
+        this.schedulePersist();
+    }
+
+    // range is { start, end } in seconds, or null to remove the A-B loop
+    setLoopRange({ viewId, range }) {
+        if (!this.canControl(viewId)) return;
+
+        this.loopRange = range && range.end > range.start ? { start: range.start, end: range.end } : null;
+        this.publish(this.id, 'loop-changed');
+        this.schedulePersist();
+    }
+
+    // the shared zoom, which viewers in free-look mode don't follow (see SyncedVideoView.shownViewport)
+    setViewport({ viewId, viewport }) {
+        if (!this.canControl(viewId)) return;
+
+        this.viewport = viewport;
+        this.publish(this.id, 'viewport-changed');
+    }
+
+    /* annotations */
+
+    // an annotation is attached to a time in an asset, and optionally to a spot (x, y as
+    // proportions of the video's width and height; otherwise null) in the frame
+    addAnnotation({ hash, time, x = null, y = null, text, viewId }) {
+        if (!text) return;
+
+        const list = this.annotations[hash] || (this.annotations[hash] = []);
+        list.push({ id: this.nextAnnotationId++, time, x, y, text, viewId });
+        list.sort((a, b) => a.time - b.time);
+        this.publish(this.id, 'annotations-changed');
+        this.schedulePersist();
+    }
+
+    // a note can be removed by its author, or by anyone who can control playback (which, outside
+    // presenter mode, is everyone)
+    removeAnnotation({ viewId, hash, id }) {
+        const list = this.annotations[hash];
+        const index = list ? list.findIndex(a => a.id === id) : -1;
+        if (index === -1 || (list[index].viewId !== viewId && !this.canControl(viewId))) return;
+
+        list.splice(index, 1);
+        if (!list.length) delete this.annotations[hash];
+        this.publish(this.id, 'annotations-changed');
+        this.schedulePersist();
+    }
+
+    /* captions */
+
+    // 'add-caption' is published once a caption file, converted to WebVTT if necessary, has been stored
+    addCaption({ viewId, hash, name, language, handle }) {
+        if (!this.canControl(viewId)) return;
+
+        const list = this.captions[hash] || (this.captions[hash] = []);
+        list.push({ id: this.nextCaptionId++, name, language, handle });
+        this.publish(this.id, 'captions-changed');
+        this.schedulePersist();
+    }
+
+    /* telestration */
+
+    // a stroke is drawn over the frame at the given time in the asset with the given hash.
+    // its points are [x, y] proportions of the frame's width and height.
+    addStroke({ viewId, hash, time, tool, color, points }) {
+        if (!this.canControl(viewId) || !STROKE_TOOLS[tool] || !Array.isArray(points) || !points.length) return;
+
+        const validColor = /^#[0-9a-f]{6}$/i.test(color) ? color : '#ff3333';
+        this.strokes.push({ id: this.nextStrokeId++, viewId, hash, time, tool, color: validColor, points: points.slice(0, MAX_STROKE_POINTS) });
+        if (this.strokes.length > MAX_STROKES) this.strokes.shift();
+        this.publish(this.id, 'strokes-changed');
+    }
+
+    clearStrokes({ viewId }) {
+        if (!this.canControl(viewId)) return;
+        this.removeStrokes();
+    }
+
+    removeStrokes() {
+        if (!this.strokes.length) return;
+
+        this.strokes = [];
+        this.publish(this.id, 'strokes-changed');
+    }
+
+    setStrokeMode({ viewId, mode }) {
+        if (!STROKE_MODES[mode] || !this.canControl(viewId)) return;
+
+        this.strokeMode = mode;
+        this.publish(this.id, 'strokes-changed');
+    }
+
+    /* viewers */
+
+    viewJoined(viewId) {
+        this.viewers[viewId] = { number: this.nextViewerNumber++, status: null };
+        this.publish(this.id, 'roster-changed');
+    }
+
+    viewExited(viewId) {
+        delete this.viewers[viewId];
+        this.publish(this.id, 'roster-changed');
+
+        // presenter mode ends if the last of its hosts leaves
+        this.hosts = this.hosts.filter(id => id !== viewId);
+        this.controlRequests = this.controlRequests.filter(id => id !== viewId);
+        if (this.presenterMode && !this.hosts.length) this.presenterMode = false;
+        this.publish(this.id, 'control-changed');
+
+        // this viewer's reports of videos they can't play go with them
+        let playabilityChanged = false;
+        for (const [hash, views] of Object.entries(this.unplayable)) {
+            if (!views[viewId]) continue;
+
+            delete views[viewId];
+            if (!Object.keys(views).length) delete this.unplayable[hash];
+            playabilityChanged = true;
+        }
+        if (playabilityChanged) this.publish(this.id, 'playability-changed');
+        this.checkHold(); // a hold may only have been waiting for this viewer
+        if (!Object.keys(this.viewers).length) this.persistNow(); // the session is left where the last viewer stopped watching
+
+        // nobody else can finish this viewer's uploads
+        for (const upload of Object.values(this.uploads)) {
+            if (upload.viewId === viewId && upload.phase !== 'failed') this.uploadFailed({ viewId, uploadId: upload.uploadId, error: 'uploader left the session' });
+        }
+    }
+
+    viewerName(viewId) {
+        const viewer = this.viewers[viewId];
+        return viewer ? `Viewer ${viewer.number}` : 'someone';
+    }
+
+    // each view reports whether it can play the current asset, in any of its encodings.
+    // reason is null if it can, and otherwise says why not.
+    reportPlayability({ viewId, hash, reason }) {
+        if (!this.viewers[viewId]) return;
+
+        const views = this.unplayable[hash] || {};
+        if (reason) views[viewId] = reason;
+        else if (views[viewId]) delete views[viewId];
+        else return; // nothing new
+
+        if (Object.keys(views).length) this.unplayable[hash] = views;
+        else delete this.unplayable[hash];
+        this.publish(this.id, 'playability-changed');
+    }
+
+    // live pointers are relayed to every view, but not kept
+    sharePointer({ viewId, x, y }) {
+        if (!this.viewers[viewId]) return;
+        this.publish(this.id, 'pointer-shared', { viewId, x, y });
+    }
+
+    // each view periodically reports its status: whether its video is loaded, its playback
+    // state ('loading', 'unplayable', 'paused', 'playing', 'muted' or 'stepping'), its drift in ms, and its
+    // playback boost as a percentage
+    reportStatus({ viewId, loaded, state, driftMS, boost }) {
+        const viewer = this.viewers[viewId];
+        if (!viewer) return;
+
+        viewer.status = { loaded, state, driftMS, boost };
+        this.publish(this.id, 'roster-changed');
+    }
+
+    /* history */
+
+    // log an action that took the group to the given position (in seconds, unwrapped) in the
+    // current asset: 'play', 'pause', 'seek', 'speed', 'asset' (a switch to another playlist
+    // entry) or 'undo' (of a seek).  viewId is null for an automatic action, such as moving on
+    // to the next entry.  a seek also records where it was from, so that it can be undone.
+    recordAction(kind, viewId, { position, from = null }) {
+        const { asset } = this;
+        if (!asset) return;
+
+        const time = this.now();
+        const last = this.history[this.history.length - 1];
+        if (kind === 'seek' && last && last.kind === 'seek' && !last.undone && last.viewId === viewId && last.hash === asset.hash && time - last.time < HISTORY_MERGE_TIME) {
+            last.position = position; // carrying on from the same spot
+            last.time = time;
+        } else {
+            const who = viewId ? this.viewerName(viewId) : null; // kept, since viewers' names go with them when they leave
+            this.history.push({ id: this.nextActionId++, kind, viewId, who, time, hash: asset.hash, name: asset.name, position, from, rate: this.playbackRate, undone: false });
+            if (this.history.length > HISTORY_LENGTH) this.history.shift();
+        }
+        this.publish(this.id, 'history-changed');
+    }
+
+    // take the group back to where a logged action took it, switching to its asset if need be
+    jumpToAction({ viewId, actionId }) {
+        const action = this.history.find(a => a.id === actionId);
+        if (!action || !this.canControl(viewId)) return;
+
+        this.jumpTo(viewId, action.hash, action.position, 'seek');
+    }
+
+    undoSeek({ viewId }) {
+        const seek = this.history.slice().reverse().find(a => a.kind === 'seek' && !a.undone && a.from !== null);
+        if (!seek || !this.canControl(viewId)) return;
+
+        seek.undone = true;
+        this.jumpTo(viewId, seek.hash, seek.from, 'undo');
+    }
+
+    // a jump keeps the group playing or paused, as it was
+    jumpTo(viewId, hash, position, kind) {
+        if (this.asset && this.asset.hash === hash) {
+            const from = this.currentPosition();
+            const { isPlaying, playbackRate } = this;
+            this.updatePlayState({ isPlaying, startOffset: isPlaying ? this.now() - 1000 * position / playbackRate : null, pausedTime: isPlaying ? 0 : position, playbackRate });
+            this.recordAction(kind, viewId, { position, from });
+            return;
+        }
+
+        const entry = this.playlist.find(e => e.asset.hash === hash);
+        if (!entry) return; // no longer in the playlist
+        this.setCurrentEntry(entry.id, this.isPlaying, position);
+        this.recordAction(kind, viewId, { position }); // can't be undone, as it's from another asset
+        this.publish(this.id, 'playlist-changed');
+    }
+
+    /* presenter mode */
+
+    canControl(viewId) {
+        return !this.presenterMode || this.hosts.includes(viewId);
+    }
+
+    // anyone can start presenter mode, becoming its host; only a host can end it
+    setPresenterMode({ viewId, enabled }) {
+        if (enabled === this.presenterMode || !this.canControl(viewId)) return;
+
+        this.presenterMode = enabled;
+        this.hosts = enabled ? [viewId] : [];
+        this.controlRequests = [];
+        this.publish(this.id, 'control-changed');
+    }
+
+    requestControl({ viewId }) {
+        if (this.canControl(viewId) || this.controlRequests.includes(viewId)) return;
+
+        this.controlRequests.push(viewId);
+        this.publish(this.id, 'control-changed');
+    }
+
+    // a host can make another viewer a host alongside itself, or (with handOver) in its place
+    grantControl({ viewId, target, handOver }) {
+        if (!this.presenterMode || !this.canControl(viewId) || !this.viewers[target]) return;
+
+        if (!this.hosts.includes(target)) this.hosts.push(target);
+        if (handOver && target !== viewId) this.hosts = this.hosts.filter(id => id !== viewId);
+        this.controlRequests = this.controlRequests.filter(id => id !== target);
+        this.publish(this.id, 'control-changed');
+    }
+
+    // hosts can revoke each other's control, but the last host can't be removed
+    revokeControl({ viewId, target }) {
+        if (!this.presenterMode || !this.canControl(viewId) || this.hosts.length < 2) return;
+
+        this.hosts = this.hosts.filter(id => id !== target);
+        this.publish(this.id, 'control-changed');
+    }
+
+    /* persistence */
+
+    schedulePersist() {
+        if (this.persistPending) return;
+
+        this.persistPending = true;
+        this.future(PERSIST_DELAY).persistNow();
+    }
+
+    // nothing changes while a video simply plays on, but its position does
+    persistWhilePlaying() {
+        if (this.isPlaying) this.schedulePersist();
+        this.future(PERSIST_INTERVAL).persistWhilePlaying();
+    }
+
+    persistNow() {
+        this.persistPending = false;
+        this.persistSession(this.getEverything);
+    }
+
+    // see persistence.js for the format
+    getEverything() {
+        const positions = { ...this.positions };
+        if (this.asset) positions[this.asset.hash] = this.currentPosition();
+        return persistedData({
+            playlist: this.playlist.map(entry => entry.asset),
+            currentIndex: this.currentIndex(),
+            handles: this.handles,
+            positions,
+            playbackRate: this.playbackRate,
+            endMode: this.endMode,
+            waitForEveryone: this.waitForEveryone,
+            loopRange: this.loopRange,
+            annotations: this.annotations,
+            captions: this.captions,
+            angles: this.angles
+        }, handle => Data.toId(handle));
+    }
+
+    // the session is restored paused, at the position where its current entry was left
+    restoreEverything(persistedSession) {
+        const state = restoredState(persistedSession, id => Data.fromId(id));
+        this.handles = state.handles; // all stored files, so they needn't be uploaded again
+        if (PLAYBACK_RATES.includes(state.playbackRate)) this.playbackRate = state.playbackRate;
+        if (Object.hasOwn(END_MODES, state.endMode)) this.endMode = state.endMode;
+        this.waitForEveryone = state.waitForEveryone;
+
+        state.playlist.forEach(asset => this.queueAsset(asset)); // a chunked asset picks up its (restored) array of chunk handles
+        const current = this.playlist[state.currentIndex];
+        if (current) {
+            this.setCurrentEntry(current.id, false, state.positions[current.asset.hash] || 0);
+            this.loopRange = state.loopRange;
+        }
+        this.positions = state.positions; // after setCurrentEntry, which records a position for the entry queued first
+
+        for (const [hash, list] of Object.entries(state.annotations)) {
+            this.annotations[hash] = list.map(annotation => ({ id: this.nextAnnotationId++, ...annotation, viewId: null }));
+        }
+        for (const [hash, list] of Object.entries(state.captions)) {
+            this.captions[hash] = list.map(caption => ({ id: this.nextCaptionId++, ...caption }));
+        }
+        for (const [hash, list] of Object.entries(state.angles)) {
+            this.angles[hash] = list.map(({ asset, offset }) => {
+                this.linkHandles(asset);
+                return { id: this.nextAngleId++, asset, offset };
+            });
+        }
+    }
+}
+SyncedVideoModel.register("SyncedVideoModel");
+
+
+// the view of a SyncedPlayer, whose UI components (timebarView etc.) it takes on as its own
+class SyncedVideoView extends View {
+    constructor(model, player) {
+        super(model);
+        this.model = model;
+        this.player = player;
+        Object.assign(this, player.components);
+        this.dragDropHandler.setView(this);
+        this.timebarView.setView(this);
+        this.thumbnailView.setView(this);
+        this.keyboardHandler.setView(this);
+        this.playlistView.setView(this);
+        this.uploadsView.setView(this);
+        this.speedView.setView(this);
+        this.endModeView.setView(this);
+        this.annotationView.setView(this);
+        this.telestrationView.setView(this);
+        this.pointersView.setView(this);
+        this.captionsView.setView(this);
+        this.rosterView.setView(this);
+        this.historyView.setView(this);
+        this.clipView.setView(this);
+        this.playabilityView.setView(this);
+        this.waitingView.setView(this);
+        this.cacheView.setView(this);
+        this.anglesView.setView(this);
+        this.screenModesView.setView(this);
+        this.viewportView.setView(this);
+
+        const { root } = player;
+        this.enableSoundIcon = root.getElementById('soundon');
+        this.playIcon = root.getElementById('play');
+        this.remoteHandIcon = root.getElementById('remotehand');
+        this.container = root.getElementById('container');
+        this.prompt = root.getElementById('prompt');
+
+        this.subscribe(this.model.id, { event: 'asset-changed', handling: 'oncePerFrameWhileSynced' }, this.assetChanged);
+        this.subscribe(this.model.id, { event: 'encodings-changed', handling: 'oncePerFrameWhileSynced' }, this.encodingsChanged);
+        this.subscribe(this.model.id, { event: 'playability-changed', handling: 'oncePerFrame' }, () => this.playabilityView.render());
+        this.subscribe(this.model.id, { event: 'play-state-changed', handling: 'oncePerFrame' }, this.playStateChanged);
+        this.subscribe(this.model.id, { event: 'playlist-changed', handling: 'oncePerFrame' }, this.playlistChanged);
+        this.subscribe(this.model.id, 'chunk-stored', this.chunkStored);
+        this.subscribe(this.model.id, { event: 'uploads-changed', handling: 'oncePerFrame' }, () => this.uploadsView.render());
+        this.subscribe(this.model.id, { event: 'loop-changed', handling: 'oncePerFrame' }, this.loopChanged);
+        this.subscribe(this.model.id, { event: 'viewport-changed', handling: 'oncePerFrame' }, this.viewportChanged);
+        this.subscribe(this.model.id, { event: 'annotations-changed', handling: 'oncePerFrame' }, this.annotationsChanged);
+        this.subscribe(this.model.id, { event: 'strokes-changed', handling: 'oncePerFrame' }, this.strokesChanged);
+        this.subscribe(this.model.id, { event: 'captions-changed', handling: 'oncePerFrame' }, this.captionsChanged);
+        this.subscribe(this.model.id, { event: 'angles-changed', handling: 'oncePerFrameWhileSynced' }, this.anglesChanged);
+        this.subscribe(this.model.id, { event: 'roster-changed', handling: 'oncePerFrame' }, this.rosterChanged);
+        this.subscribe(this.model.id, 'pointer-shared', this.pointerShared);
+        this.subscribe(this.model.id, { event: 'control-changed', handling: 'oncePerFrame' }, this.controlChanged);
+        this.subscribe(this.model.id, { event: 'history-changed', handling: 'oncePerFrame' }, () => this.historyView.render());
+        this.subscribe(this.model.id, { event: 'wait-changed', handling: 'oncePerFrame' }, () => this.waitingView.render());
+        this.subscribe(this.viewId, { event: 'synced', handling: 'immediate' }, this.handleSyncState);
+
+        this.videoView = null;
+        this.angleViews = {}; // angleId => { angle, videoView, driftController, offset, loadAborter } for each of the current video's other angles
+        this.captionTracks = {}; // caption id => <track> element added to the current video
+        this.uploadQueue = []; // this view's uploads, in order: { uploadId, file, alternateOf, angleOf, select, source, cancelled }
+        this.nextUploadNumber = 1;
+        this.chunkWaiters = {}; // resolvers for chunk fetches that are waiting for the chunk to be stored, keyed by "hash:index"
+        this.lastStatusCheck = this.now() + 500; // make the update loop wait a bit before checking the first time
+        this.lastStatusReport = 0;
+        this.lastDriftMS = null;
+        this.readinessReport = null; // the last readiness reported for a hold: { holdId, ready }
+        this.stalledSince = null; // session time at which the playing video stalled
+        this.freeLook = false; // whether this viewer zooms and pans on their own, rather than following the shared viewport
+        this.ownViewport = null; // this viewer's region of the frame, in free-look mode
+        this.localViewport = null; // this viewer's latest change to the shared viewport...
+        this.localViewportUntil = 0; // ...which is shown until this Date.now() time, while it goes through the model
+        this.viewportKey = null; // identifies the transform currently applied to the video (see applyViewport)
+        this.loopChanged();
+        this.strokesChanged();
+        this.controlChanged();
+        this.setUpMediaSession();
+        if (this.model.asset) this.assetChanged();
+        player.attachView(this);
+    }
+
+    async assetChanged() {
+        this.disposeOfVideo(); // discard any loaded or loading video
+        this.playbackFailure = null;
+        this.playabilityView.render();
+
+        const { asset, currentEntryId: entryId } = this.model;
+        if (!asset) {
+            this.prompt.style.opacity = 1; // playlist is empty
+            this.player.emit('assetchange', null);
+            return;
+        }
+
+        const { hash, type, name, url = null } = asset;
+        this.player.emit('assetchange', { hash, type, name, url });
+        this.updateMediaSession();
+
+        View.displayStatus(`Fetching ${asset.name}`);
+        if (!encodingsOf(asset).some(assetIsLoadable)) return;
+
+        this.waitingForSync = !this.realm.isSynced(); // this can flip back and forth
+
+        const { isPlaying, startOffset, pausedTime, playbackRate } = this.model;
+        this.playStateChanged({ isPlaying, startOffset, pausedTime, playbackRate }); // will be stored for now, and may be overridden by messages in a backlog by the time the video is ready
+
+        const loadAborter = new AbortController(); // aborted by another load, or a shutdown
+        this.abandonLoad = () => loadAborter.abort();
+
+        try {
+            const loaded = await this.loadPlayableEncoding(asset, loadAborter.signal);
+            if (!loaded) return; // been cancelled, or nothing could be played
+            const { urlObj, videoView } = loaded;
+            delete this.abandonLoad;
+
+            this.prompt.style.opacity = 0;
+
+            this.videoView = videoView;
+            this.entryId = entryId;
+            const videoElem = this.videoElem = videoView.video;
+            this.driftController = new DriftController(this.player.options.drift);
+            this.container.appendChild(videoElem);
+            this.watchNativeControls(videoView);
+            this.ownViewport = null;
+            this.viewportKey = null;
+            // hover previews and clips need a second decoder.  a url for a complete file can
+            // simply be shared, but a MediaSource can only feed one element, so a stream needs a twin.
+            this.makeSecondSource = () => (urlObj.stream
+                ? (stream => ({ url: stream.url, stream }))(urlObj.stream.twin())
+                : { url: urlObj.url, stream: null });
+            this.thumbnailView.setSource(urlObj.url ? this.makeSecondSource : null); // an HLS or DASH stream has no url, and isn't previewed
+
+            this.loopChanged();
+            this.annotationsChanged();
+            this.captionsChanged();
+            this.applyPlayState();
+            this.driftController.postpone(this.now() + 500); // let it settle before we try to adjust
+            this.anglesChanged();
+            this.viewportChanged();
+            this.screenModesView.render();
+            this.updateMediaSession();
 
         } catch (err) { console.error(err); }
     }
 
-    adjustPlaybar() {
-        const time = this.videoView.isPlaying ? this.videoView.video.currentTime : (this.latestPlayState.pausedTime || 0);
-        timebarView.drawPlaybar(time / this.videoView.duration);
+    // try each of the asset's loaded encodings that this browser expects to be able to play, in
+    // turn, resolving to { urlObj, videoView } for the first that loads.  resolves to null if the
+    // load is cancelled (when signal is aborted), or if none of them loads - in which case the
+    // reason is reported to the model, so that everyone can see who can't play the asset.
+    async loadPlayableEncoding(asset, signal) {
+        const reasons = [];
+        for (const encoding of encodingsOf(asset).filter(assetIsLoadable)) {
+            const mime = encoding.mime || encoding.type;
+            if (!canPlayMedia(mime)) {
+                reasons.push(`unsupported format ${mime}`);
+                continue;
+            }
+
+            let urlObj;
+            try {
+                urlObj = await this.objectURLFor(encoding, signal);
+            } catch (err) {
+                if (signal.aborted) return null;
+                throw err;
+            }
+            if (signal.aborted) { urlObj.revoke(); return null; }
+
+            try {
+                const videoView = await (new Video2DView(urlObj.url, urlObj.stream)).readyPromise;
+                if (signal.aborted) { videoView.dispose(); return null; }
+
+                this.reportPlayability(asset, null);
+                return { urlObj, videoView };
+            } catch (err) {
+                urlObj.revoke();
+                if (signal.aborted) return null;
+                reasons.push(`${mime || encoding.name}: ${err.message}`);
+            }
+        }
+
+        this.playbackFailure = reasons.join('; ');
+        View.displayWarning(`Can't play ${asset.name} in this browser (${this.playbackFailure})`);
+        this.reportPlayability(asset, this.playbackFailure);
+        return null;
+    }
+
+    // the model only needs to hear that this view can play an asset if it has been told otherwise
+    reportPlayability(asset, reason) {
+        const reported = this.model.unplayable[asset.hash];
+        if (!reason && !(reported && reported[this.viewId])) return;
+
+        this.publish(this.model.id, 'report-playability', { viewId: this.viewId, hash: asset.hash, reason });
+    }
+
+    // a view that has failed to play the current asset tries again with its new encodings
+    encodingsChanged() {
+        if (this.playbackFailure) this.assetChanged();
+    }
+
+    canControl() {
+        return this.model.canControl(this.viewId);
+    }
+
+    // in presenter mode, the playback controls are greyed out for everyone but the hosts
+    controlChanged() {
+        const locked = !this.canControl();
+        this.container.classList.toggle('locked', locked);
+        [this.speedView, this.endModeView].forEach(control => control.element.disabled = locked);
+        this.timebarView.setDisabled(locked);
+        this.telestrationView.setDisabled(locked);
+        this.showClipState();
+        this.annotationView.shownKey = null; // whose notes can be deleted may have changed
+        this.viewportView.render();
+        this.historyView.render();
+        this.waitingView.render();
+        this.anglesView.render();
+        this.rosterView.render();
+        this.playlistView.render();
+    }
+
+    handlePresenterButton() {
+        const { model } = this;
+        if (model.presenterMode && !this.canControl()) this.publish(model.id, 'request-control', { viewId: this.viewId });
+        else this.publish(model.id, 'set-presenter-mode', { viewId: this.viewId, enabled: !model.presenterMode });
+    }
+
+    handleControl(event, target, handOver = false) {
+        this.publish(this.model.id, event, { viewId: this.viewId, target, handOver });
+    }
+
+    async clearCache() {
+        await this.player.cache.clear();
+        View.displayStatus(`Cleared the video cache`);
+        this.cacheView.render();
+    }
+
+    handleWaitMode(enabled) {
+        this.publish(this.model.id, 'set-wait-mode', { viewId: this.viewId, enabled });
+    }
+
+    loopChanged() {
+        const { endMode, loopRange } = this.model;
+        this.endModeView.showMode(endMode);
+        this.showClipState();
+        if (!this.videoView) {
+            this.timebarView.setLoopRange(null);
+            return;
+        }
+
+        const { duration } = this.videoView;
+        const range = loopRange && { start: loopRange.start, end: Math.min(loopRange.end, duration) };
+        this.videoView.setLooping(endMode === 'loop', range);
+        this.timebarView.setLoopRange(range && { start: range.start / duration, end: range.end / duration });
+    }
+
+    showClipState() {
+        const available = !!(this.videoView && this.model.loopRange && this.canControl() && clipRecordingType());
+        this.clipView.show(available, this.clipRecording ? this.clipRecording.progress : null);
+    }
+
+    handleClipButton() {
+        if (this.clipRecording) this.clipRecording.cancelled = true;
+        else this.recordClip();
+    }
+
+    // the A-B loop of the current video is recorded from a second, muted copy of it - so that
+    // the shared playback isn't disturbed - and then uploaded just like a dropped file.  the
+    // clip's asset records where it came from: { hash, start, end } of its source.
+    async recordClip() {
+        const { asset, loopRange } = this.model;
+        const mimeType = clipRecordingType();
+        if (!this.videoView || !loopRange || !mimeType || !this.canControl()) return;
+
+        const source = { hash: asset.hash, start: loopRange.start, end: Math.min(loopRange.end, this.videoView.duration) };
+        const recording = this.clipRecording = {
+            cancelled: false,
+            progress: 0,
+            onProgress: progress => {
+                recording.progress = Math.max(0, Math.min(1, progress));
+                this.showClipState();
+            }
+        };
+        this.showClipState();
+        View.displayStatus(`Recording a clip of ${asset.name}`);
+
+        const { url, stream } = this.makeSecondSource();
+        const videoView = new Video2DView(url, stream);
+        try {
+            await videoView.readyPromise;
+            const blob = await recordRange(videoView.video, source, mimeType, recording);
+            if (blob) {
+                const type = mimeType.split(';')[0];
+                const baseName = asset.name.replace(/\.[^.]*$/, '');
+                const name = `${baseName} ${formatTime(source.start)}-${formatTime(source.end)}.${type.split('/')[1]}`;
+                this.addFile(new File([blob], name, { type }), { source });
+            }
+        } catch (err) {
+            console.error(err);
+            View.displayWarning(`Couldn't record the clip: ${err.message || err}`);
+        } finally {
+            // as for the thumbnail decoder, a complete file's url is still in use by the main
+            // video, so only a stream of this copy's own is disposed of
+            const { video } = videoView;
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+            if (stream) stream.dispose();
+            this.clipRecording = null;
+            this.showClipState();
+        }
+    }
+
+    captionsChanged() {
+        const captions = (this.model.asset && this.model.captions[this.model.asset.hash]) || [];
+        this.captionsView.setCaptions(captions.map(({ id, name, language }) => ({ id, label: language || name, language: language || name })));
+        this.loadCaptionTracks();
+    }
+
+    // add a <track> to the video for every caption file that has been linked to its asset.  a
+    // file that fails to load is tried again the next time this is called.
+    async loadCaptionTracks() {
+        if (!this.videoView) return;
+
+        const captions = (this.model.asset && this.model.captions[this.model.asset.hash]) || [];
+        const videoElem = this.videoElem;
+        for (const caption of captions) {
+            if (this.captionTracks[caption.id]) continue;
+
+            const track = this.captionTracks[caption.id] = document.createElement('track');
+            track.kind = 'subtitles';
+            track.label = caption.language || caption.name;
+            if (caption.language) track.srclang = caption.language;
+            try {
+                const data = await Data.fetch(this.sessionId, caption.handle);
+                if (this.videoElem !== videoElem) return; // video has been replaced
+
+                track.src = URL.createObjectURL(new Blob([data], { type: 'text/vtt' }));
+                videoElem.appendChild(track);
+                this.showCaptions();
+            } catch (err) {
+                console.error(err);
+                if (this.captionTracks[caption.id] === track) delete this.captionTracks[caption.id];
+            }
+        }
+    }
+
+    showCaptions() {
+        const chosen = this.captionsView.chosenLanguage();
+        for (const track of Object.values(this.captionTracks)) {
+            if (track.track) track.track.mode = chosen && (track.srclang || track.label) === chosen ? 'showing' : 'disabled';
+        }
+    }
+
+    currentAnnotations() {
+        return (this.model.asset && this.model.annotations[this.model.asset.hash]) || [];
+    }
+
+    annotationsChanged() {
+        const duration = this.videoView ? this.videoView.duration : 0;
+        this.timebarView.setMarkers(duration ? this.currentAnnotations().map(({ id, time }) => ({ id, proportion: time / duration })) : []);
+        this.annotationView.shownKey = null; // force the pop-ups to be rebuilt
+    }
+
+    // show the annotations that fall due within the last few seconds of video time
+    showAnnotations() {
+        if (!this.videoView) {
+            this.annotationView.show([], null);
+            return;
+        }
+
+        const time = this.currentVideoTime();
+        const due = this.currentAnnotations().filter(a => a.time <= time && time < a.time + ANNOTATION_DISPLAY_TIME);
+        this.annotationView.show(due, frameRect(this.videoElem));
+    }
+
+    rosterChanged() {
+        this.rosterView.render();
+        this.waitingView.render();
+        this.pointersView.prune(Object.keys(this.model.viewers));
+    }
+
+    // x, y are proportions of the video element's size, or null to stop sharing
+    sharePointer(x, y) {
+        this.publish(this.model.id, 'share-pointer', { viewId: this.viewId, x, y });
+    }
+
+    // each viewer's pointer gets its own colour, spread around the colour wheel by viewer number.
+    // moves are queued rather than handled once per frame, so as not to lose one viewer's move
+    // to another's in the same frame, but those replayed while this view catches up with the
+    // session (after joining, or waking from dormancy) are long past, and dropped.
+    pointerShared({ viewId, x, y }) {
+        const viewer = this.model.viewers[viewId];
+        if (viewId === this.viewId || !viewer || this.waitingForSync) return;
+        this.pointersView.move(viewId, x, y, this.model.viewerName(viewId), (viewer.number * 137.5) % 360);
+    }
+
+    strokesChanged() {
+        this.telestrationView.showMode(this.model.strokeMode);
+        this.telestrationView.shownKey = null; // force a redraw
+        this.showStrokes();
+    }
+
+    // the strokes drawn on the current video.  in 'frame' mode, only those drawn on (or very
+    // close to) the frame now showing.
+    showStrokes() {
+        const { asset, strokes, strokeMode } = this.model;
+        if (!this.videoView || !asset || this.anglesView.hidesMain) {
+            this.telestrationView.show([], null);
+            return;
+        }
+
+        const time = this.currentVideoTime();
+        const shown = strokes.filter(stroke => stroke.hash === asset.hash && (strokeMode === 'resume' || Math.abs(stroke.time - time) <= STROKE_FRAME_TOLERANCE));
+        this.telestrationView.show(shown, frameRect(this.videoElem));
+    }
+
+    addStroke(stroke) {
+        if (!this.videoView || !this.canControl()) return;
+        this.publish(this.model.id, 'add-stroke', { viewId: this.viewId, hash: this.model.asset.hash, time: this.currentVideoTime(), ...stroke });
+    }
+
+    clearStrokes() {
+        this.publish(this.model.id, 'clear-strokes', { viewId: this.viewId });
+    }
+
+    handleStrokeMode(mode) {
+        if (!this.canControl()) return;
+        this.publish(this.model.id, 'set-stroke-mode', { viewId: this.viewId, mode });
+    }
+
+    currentVideoTime() {
+        return this.videoView.isPlaying ? this.videoView.video.currentTime : (this.latestPlayState.pausedTime || 0);
+    }
+
+    adjustPlaybar() {
+        const time = this.currentVideoTime();
+        const { duration, video } = this.videoView;
+        this.timebarView.setPosition(time, duration);
+        this.timebarView.drawPlaybar(time / duration);
+
+        const ranges = [];
+        for (let i = 0; i < video.buffered.length; i++) ranges.push({ start: video.buffered.start(i) / duration, end: video.buffered.end(i) / duration });
+        this.timebarView.setBuffered(ranges);
+    }
+
+    playStateChanged(rawData) {
+        const data = { ...rawData }; // take a copy that we can play with
+        this.latestActionSpec = data.actionSpec; // if any
+        delete data.actionSpec;
+
+        const latest = this.latestPlayState;
+        // ignore if we've heard this one before (probably because we set it locally)
+        if (latest && Object.keys(data).every(key => data[key] === latest[key])) return;
+
+        this.latestPlayState = data;
+        this.speedView.showRate(data.playbackRate);
+        this.applyPlayState(); // will be ignored if we're still initialising
+        this.player.emit('statechange', this.playState());
+        this.updateMediaSession();
+    }
+
+    // the browser's own controls for the video - in a picture-in-picture window, or in native
+    // fullscreen on a phone - act directly on the element.  their plays, pauses and seeks are
+    // turned into changes to the shared play state, and if this viewer isn't allowed to make
+    // those, the element is put back in step.
+    watchNativeControls(videoView) {
+        const { video } = videoView;
+        const ours = () => this.videoView !== videoView || this.waitingForSync; // or no longer of interest
+        const request = granted => { if (!granted) this.applyPlayState(); };
+        video.addEventListener('play', () => {
+            if (ours() || videoView.isPlaying) return; // we started it
+            request(this.requestPlay());
+        });
+        video.addEventListener('pause', () => {
+            if (ours() || !videoView.isPlaying || videoView.isBlocked || videoView.isStarting || video.ended) return; // we paused it, or it stopped by itself
+            if (document.hidden && video.muted) return; // the browser saving power on a muted video that nobody can see
+            request(this.requestPause());
+        });
+        watchForeignSeeks(videoView, time => {
+            if (!ours()) request(this.requestSeek(time));
+        });
+        video.addEventListener('enterpictureinpicture', () => this.screenModesView.render());
+        video.addEventListener('leavepictureinpicture', () => this.screenModesView.render());
+    }
+
+    // the browser's media session: the controls on a phone's lock screen and in notifications,
+    // and headset buttons and media keys.  like the player's own controls, they act for everyone.
+    // with several players on a page, the media session belongs to the one that joined last.
+    setUpMediaSession() {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+        const { mediaSession } = navigator;
+        const seekBy = seconds => this.videoView && this.requestSeek(this.currentVideoTime() + seconds);
+        const handlers = {
+            play: () => this.requestPlay(),
+            pause: () => this.requestPause(),
+            stop: () => this.requestPause(),
+            seekto: ({ seekTime }) => this.requestSeek(seekTime),
+            seekbackward: ({ seekOffset }) => seekBy(-(seekOffset || KEYBOARD_SEEK_STEP)),
+            seekforward: ({ seekOffset }) => seekBy(seekOffset || KEYBOARD_SEEK_STEP),
+            previoustrack: () => this.handlePlaylist('previous-entry'),
+            nexttrack: () => this.handlePlaylist('next-entry')
+        };
+        for (const [action, handler] of Object.entries(handlers)) {
+            try { mediaSession.setActionHandler(action, handler); } catch (e) { /* an action this browser doesn't know */ }
+        }
+        this.mediaMetadata = mediaSession.metadata = new MediaMetadata({});
+        this.updateMediaSession();
+    }
+
+    updateMediaSession() {
+        const { mediaMetadata } = this;
+        if (!mediaMetadata || navigator.mediaSession.metadata !== mediaMetadata) return; // taken over by another player
+
+        const { mediaSession } = navigator;
+        const { asset } = this.model;
+        mediaMetadata.title = asset ? asset.name : '';
+        if (!asset || !this.latestPlayState) {
+            mediaSession.playbackState = 'none';
+            return;
+        }
+
+        const { playing, time, playbackRate } = this.playState();
+        mediaSession.playbackState = playing ? 'playing' : 'paused';
+        if (this.videoView && mediaSession.setPositionState) {
+            const { duration } = this.videoView;
+            try { mediaSession.setPositionState({ duration, playbackRate, position: Math.max(0, Math.min(time, duration)) }); } catch (e) { /* e.g., no known duration */ }
+        }
+    }
+
+    tearDownMediaSession() {
+        if (!this.mediaMetadata || navigator.mediaSession.metadata !== this.mediaMetadata) return;
+
+        const { mediaSession } = navigator;
+        ['play', 'pause', 'stop', 'seekto', 'seekbackward', 'seekforward', 'previoustrack', 'nexttrack'].forEach(action => {
+            try { mediaSession.setActionHandler(action, null); } catch (e) { /* as in setUpMediaSession */ }
+        });
+        mediaSession.metadata = null;
+        mediaSession.playbackState = 'none';
+    }
+
+    // the shared play state, as reported by the player: { playing, time, playbackRate }
+    playState() {
+        const { isPlaying, pausedTime, playbackRate } = this.latestPlayState;
+        let time = isPlaying ? this.calculateVideoTime() : pausedTime;
+        if (isPlaying && this.videoView) time = this.videoView.wrappedTime(time);
+        return { playing: isPlaying, time, playbackRate };
+    }
+
+    applyPlayState() {
+        if (!this.videoView || this.waitingForSync) return;
+
+        const { videoView, videoElem } = this;
+
+        //console.log("apply playState", {...this.latestPlayState});
+        if (!this.latestPlayState.isPlaying) {
+            this.iconVisible('play', true);
+            this.iconVisible('enableSound', false);
+            videoView.pause(this.latestPlayState.pausedTime);
+        } else {
+            this.iconVisible('play', false);
+            this.endReported = false;
+            videoElem.playbackRate = this.latestPlayState.playbackRate * (1 + this.driftController.boost * 0.01);
+            this.driftController.restart(this.now()); // make sure we don't adjust rate until playback has settled in, and after any emergency jump we decide to do
+            // if the video is blocked from playing, enter a stepping mode in which we move the video forward with successive pause() calls
+            videoView.play(this.calculateVideoTime() + 0.1 * this.latestPlayState.playbackRate).then(playStarted => {
+                this.iconVisible('enableSound', !playStarted || videoElem.muted);
+                if (playStarted) this.future(250).triggerJumpCheck(); // leave it a little time to stabilise
+                else if (!videoElem.muted) {
+                    console.log(`trying with mute`);
+                    videoElem.muted = true;
+                    this.applyPlayState();
+                } else {
+                    console.log(`reverting to stepped display`);
+                    this.isStepping = true;
+                    this.stepWhileBlocked();
+                }
+            });
+        }
+
+        Object.values(this.angleViews).forEach(entry => this.syncAngle(entry, true));
+        if (this.latestActionSpec) this.revealAction(this.latestActionSpec);
+    }
+
+    revealAction(spec) {
+        if (spec.viewId !== this.viewId) {
+            const type = spec.type;
+
+            let element;
+            if (type === 'video') element = this.videoElem;
+            else if (type === 'timebar' || type === 'keyboard') element = this.timebarView.element;
+            else if (type === 'speed') element = this.speedView.element;
+            else throw new Error(`unknown action type`);
+
+            const rect = element.getBoundingClientRect();
+            this.useHandToPoint(spec.x * rect.width + rect.left, spec.y * rect.height + rect.top);
+        }
+    }
+
+    useHandToPoint(targetX, targetY) {
+        // targetX, Y are page coords.  we need to convert to coords within #container.
+        const hand = this.remoteHandIcon;
+        if (!hand) return;
+
+        if (this.remoteHandTimeout) clearTimeout(this.remoteHandTimeout);
+
+        const handRect = hand.getBoundingClientRect();
+        const contRect = this.container.getBoundingClientRect();
+
+        // end of finger is around (0.25, 0.15) relative to element size
+        hand.style.left = `${targetX - handRect.width * 0.25 - contRect.left}px`;
+        hand.style.top = `${targetY - handRect.height * 0.15 - contRect.top}px`;
+        this.iconVisible('remoteHand', true);
+        this.remoteHandTimeout = setTimeout(() => this.iconVisible('remoteHand', false), 1000);
+    }
+
+    // the video time that corresponds to now, given the playback rate
+    calculateVideoTime() {
+        const { isPlaying: _isP, startOffset, playbackRate } = this.latestPlayState;
+        // if (!isPlaying) debugger;
+
+        const sessionNow = this.now();
+        return (sessionNow - startOffset) / 1000 * playbackRate;
+    }
+
+    stepWhileBlocked() {
+        if (!this.isStepping) return; // we've left stepping mode
+        if (!this.videoView.isBlocked) {
+            this.isStepping = false;
+            return;
+        }
+
+        this.videoView.setStatic(this.calculateVideoTime());
+        this.future(250).stepWhileBlocked(); // jerky, but keeping up
+    }
+
+    handleSyncState(isSynced) {
+        //console.warn(`synced: ${isSynced}`);
+        const wasWaiting = this.waitingForSync;
+        this.waitingForSync = !isSynced;
+        if (wasWaiting && isSynced) this.applyPlayState();
+    }
+
+    handleUserClick(evt) {
+        if (!this.videoView || this.viewportView.dragged) return; // a pan or pinch isn't a click
+
+        const { videoView, videoElem } = this;
+        if (this.unblockPlayback()) return;
+
+        // even though the click was on the container, find position relative to video
+        const contRect = this.container.getBoundingClientRect();
+        const rect = videoElem.getBoundingClientRect();
+        const x = (evt.offsetX + contRect.left - rect.left)/rect.width, y = (evt.offsetY + contRect.top - rect.top)/rect.height;
+
+        // an alt-click attaches a note to this spot of the frame, rather than playing or pausing
+        if (evt.altKey) {
+            const frame = frameRect(videoElem);
+            const within = value => Math.max(0, Math.min(1, value)); // a click on the letterboxing goes on the frame's edge
+            this.annotateAt(within((evt.clientX - frame.left) / frame.width), within((evt.clientY - frame.top) / frame.height));
+            return;
+        }
+
+        if (!this.canControl()) return;
+
+        const wantsToPlay = !this.latestPlayState.isPlaying; // toggle
+        if (!wantsToPlay) videoView.pause(); // immediately!
+        let videoTime = videoView.video.currentTime;
+        if (wantsToPlay && !videoElem.loop && videoTime >= videoView.duration - 0.2) videoTime = 0; // stopped at the end; start again
+        const actionSpec = { viewId: this.viewId, type: 'video', x, y };
+        this.requestPlayState({ isPlaying: wantsToPlay, videoTime, actionSpec });
+    }
+
+    // a click or keypress counts as user activation, so can let a blocked video play properly.
+    // returns true if it was used for that.
+    unblockPlayback() {
+        const { videoElem } = this;
+
+        // if the video is being stepped (i.e., wouldn't even play() when muted),
+        // this action will in theory be able to start it playing.
+        if (this.isStepping) {
+            console.log(`exiting step mode`);
+            videoElem.muted = false;
+            this.isStepping = false;
+            this.applyPlayState();
+            return true;
+        }
+
+        // if video was playing but is muted (which means we discovered it wouldn't
+        // play unmuted), this action should be able to remove the mute.
+        if (videoElem.muted) {
+            console.log(`unmuting video`);
+            videoElem.muted = false;
+            this.iconVisible('enableSound', false);
+            return true;
+        }
+
+        return false;
+    }
+
+    // command is one of those listed in KeyboardHandler
+    handleKeyboard(command) {
+        if (!this.videoView) return;
+        if (command === 'toggle' && this.unblockPlayback()) return;
+        if (!this.canControl()) return;
+
+        const { videoView, videoElem } = this;
+        const { duration } = videoView;
+        let isPlaying = this.latestPlayState.isPlaying;
+        let videoTime = this.currentVideoTime();
+        switch (command) {
+            case 'toggle':
+                isPlaying = !isPlaying;
+                if (!isPlaying) videoView.pause(); // immediately!
+                else if (!videoElem.loop && videoTime >= duration - 0.2) videoTime = 0; // stopped at the end; start again
+                break;
+            case 'back': videoTime -= KEYBOARD_SEEK_STEP; break;
+            case 'forward': videoTime += KEYBOARD_SEEK_STEP; break;
+            case 'previous-frame': isPlaying = false; videoTime -= FRAME_STEP; break;
+            case 'next-frame': isPlaying = false; videoTime += FRAME_STEP; break;
+            case 'start': videoTime = 0; break;
+            case 'end': videoTime = duration; break;
+            default: return;
+        }
+        videoTime = Math.max(0, Math.min(duration, videoTime));
+
+        // remote viewers are shown where on the timebar the action took the video
+        const actionSpec = { viewId: this.viewId, type: 'keyboard', x: duration ? videoTime / duration : 0, y: 0.5 };
+        this.requestPlayState({ isPlaying, videoTime, actionSpec });
+    }
+
+    // prompt for the text of a note at the current video time, and optionally at a spot on the video
+    annotateAt(x, y) {
+        if (!this.videoView) return;
+
+        const time = this.currentVideoTime();
+        const text = window.prompt(`Note at ${time.toFixed(1)}s:`);
+        if (!text) return;
+
+        this.publish(this.model.id, 'add-annotation', { hash: this.model.asset.hash, time, x, y, text, viewId: this.viewId });
+    }
+
+    // as checked by the model
+    canRemoveAnnotation(annotation) {
+        return annotation.viewId === this.viewId || this.canControl();
+    }
+
+    removeAnnotation(id) {
+        this.publish(this.model.id, 'remove-annotation', { viewId: this.viewId, hash: this.model.asset.hash, id });
+    }
+
+    // a click on an annotation's timebar marker pauses everyone at the annotation's time
+    handleMarker(id) {
+        const annotation = this.currentAnnotations().find(a => a.id === id);
+        if (!annotation || !this.videoView) return;
+
+        const actionSpec = { viewId: this.viewId, type: 'timebar', x: annotation.time / this.videoView.duration, y: 0.5 };
+        this.requestPlayState({ isPlaying: false, videoTime: annotation.time, actionSpec });
+    }
+
+    // proportion is null when the pointer has left the timebar
+    handleTimebarHover(proportion) {
+        if (proportion === null || !this.videoView) {
+            this.thumbnailView.hide();
+            return;
+        }
+
+        const barRect = this.timebarView.element.getBoundingClientRect();
+        this.thumbnailView.show(this.videoView.duration * proportion, barRect.left + proportion * barRect.width, barRect);
+    }
+
+    // a scrub pauses the video while it is dragged around.  if this viewer has chosen to keep
+    // playing, a video that was playing when the scrub started restarts from where it ended.
+    handleScrubStart() {
+        this.playingBeforeScrub = this.latestPlayState.isPlaying;
+    }
+
+    handleScrubEnd(proportion) {
+        if (!this.videoView || !this.playingBeforeScrub || !this.keepPlayingView.keepPlaying || proportion === null) return;
+
+        this.playingBeforeScrub = false;
+        const videoTime = this.videoView.duration * proportion;
+        const actionSpec = { viewId: this.viewId, type: 'timebar', x: proportion, y: 0.5 };
+        this.requestPlayState({ isPlaying: true, videoTime, actionSpec });
+    }
+
+    handleTimebar(proportion) {
+        if (!this.videoView) return;
+
+        const videoTime = this.videoView.duration * proportion;
+        const actionSpec = { viewId: this.viewId, type: 'timebar', x: proportion, y: 0.5 };
+        this.requestPlayState({ isPlaying: false, videoTime, actionSpec });
+    }
+
+    // range is { start, end } as proportions of the duration, or null
+    handleLoopRange(range) {
+        if (!this.videoView || !this.canControl()) return;
+
+        const { duration } = this.videoView;
+        this.publish(this.model.id, 'set-loop-range', { viewId: this.viewId, range: range && { start: range.start * duration, end: range.end * duration } });
+    }
+
+    handleEndMode(mode) {
+        if (!this.canControl()) return;
+        this.publish(this.model.id, 'set-end-mode', { viewId: this.viewId, mode });
+    }
+
+    handleSpeed(playbackRate) {
+        if (!this.videoView || !PLAYBACK_RATES.includes(playbackRate)) return;
+
+        const { isPlaying, pausedTime } = this.latestPlayState;
+        const videoTime = isPlaying ? this.videoView.video.currentTime : pausedTime;
+        const actionSpec = { viewId: this.viewId, type: 'speed', x: 0.5, y: 0.5 };
+        this.requestPlayState({ isPlaying, videoTime, playbackRate, actionSpec });
+    }
+
+    // apply a new play state, with the given video time as its current position, and publish it.
+    // the playback rate stays as it is unless specified.
+    requestPlayState({ isPlaying, videoTime, playbackRate = this.latestPlayState.playbackRate, actionSpec }) {
+        if (!this.canControl()) return;
+
+        const sessionTime = this.now(); // the session time corresponding to the video time
+        const startOffset = isPlaying ? sessionTime - 1000 * videoTime / playbackRate : null;
+        const pausedTime = isPlaying ? 0 : videoTime;
+        this.playStateChanged({ isPlaying, startOffset, pausedTime, playbackRate }); // directly from the handler, in case the browser blocks indirect play() invocations
+        this.publish(this.model.id, 'set-play-state', { viewId: this.viewId, isPlaying, startOffset, pausedTime, playbackRate, actionSpec }); // subscribed to by the shared model
+    }
+
+    // the player's programmatic controls.  like the on-screen ones, they are refused (returning
+    // false) in presenter mode unless this viewer is a host, and need a loaded video.
+    requestPlay() {
+        if (!this.videoView || !this.canControl()) return false;
+
+        const { videoView, videoElem } = this;
+        let videoTime = this.currentVideoTime();
+        if (!videoElem.loop && videoTime >= videoView.duration - 0.2) videoTime = 0; // stopped at the end; start again
+        this.requestPlayState({ isPlaying: true, videoTime });
+        return true;
+    }
+
+    requestPause() {
+        if (!this.videoView || !this.canControl()) return false;
+
+        const videoTime = this.currentVideoTime();
+        this.videoView.pause(); // immediately!
+        this.requestPlayState({ isPlaying: false, videoTime });
+        return true;
+    }
+
+    requestSeek(time) {
+        if (!this.videoView || !this.canControl()) return false;
+
+        const videoTime = Math.max(0, Math.min(this.videoView.duration, time));
+        this.requestPlayState({ isPlaying: this.latestPlayState.isPlaying, videoTime });
+        return true;
+    }
+
+    triggerJumpCheck() { if (this.driftController) this.driftController.armJump(); } // on next checkPlayStatus() that does a timing check
+
+    checkPlayStatus() {
+        if (this.videoView) {
+            this.adjustPlaybar();
+            this.showAnnotations();
+            this.showStrokes();
+            this.checkForEnd();
+            this.checkLoopRange();
+            this.checkForStall();
+            this.applyViewport(); // in case the video's box has changed shape
+
+            const driftMS = this.correctDrift(this.videoView, this.driftController, this.videoView.wrappedTime(this.calculateVideoTime()));
+            if (driftMS !== null) this.lastDriftMS = driftMS;
+            Object.values(this.angleViews).forEach(entry => this.syncAngle(entry));
+        }
+    }
+
+    // check a playing video's timing against the time it's expected to be at, when its drift
+    // controller says a check is due (every 0.5s, by default), and jump or boost it as the
+    // controller decides.  returns the drift found, in ms, or null if there was no check.
+    correctDrift(videoView, driftController, expectedTime) {
+        const now = this.now();
+        if (!videoView.isPlaying || videoView.isBlocked || !driftController.isDue(now)) return null;
+
+        const videoTime = videoView.video.currentTime;
+        const videoDiff = videoTime - expectedTime;
+        const videoDiffMS = videoDiff * 1000; // +ve means *ahead* of where it should be
+        const range = videoView.loopRange;
+        const loopLength = range ? range.end - range.start : videoView.duration;
+        // a measurement across a loop restart, or while a seek is landing, can't be trusted
+        const trusted = videoDiff < loopLength / 2 && !videoView.video.seeking;
+        const action = driftController.update(now, trusted ? videoDiffMS : null);
+        if (action && action.jump) {
+            console.log(`jumping video by ${-Math.round(videoDiffMS)}ms`);
+            videoView.setTime(videoView.wrappedTime(videoTime - videoDiff + 0.1 * this.latestPlayState.playbackRate, true)); // 0.1s to counteract the delay that the jump itself tends to introduce; true to ensure we're not jumping beyond the last video frame
+        } else if (action) {
+            const playbackRate = this.latestPlayState.playbackRate * (1 + action.boost * 0.01);
+            console.log(`video playback rate: ${playbackRate}`);
+            videoView.video.playbackRate = playbackRate;
+        }
+        return Math.round(videoDiffMS);
+    }
+
+    /* zoom */
+
+    // the region of the frame to show: this viewer's own, in free-look mode; otherwise the shared
+    // one - or, just after this viewer has changed it, their change, on its way through the model
+    shownViewport() {
+        if (this.freeLook) return this.ownViewport;
+        if (Date.now() < this.localViewportUntil) return this.localViewport;
+        return this.model.viewport;
     }
 
-    playStateChanged(rawData) {
-        const data = { ...rawData }; // take a copy that we can play with
-        this.latestActionSpec = data.actionSpec; // if any
-        delete data.actionSpec;
+    // zoom by the given factor, keeping the point of the frame at the given page coordinates in place
+    zoomAt(clientX, clientY, factor) {
+        if (!this.videoView) return;
 
-        const latest = this.latestPlayState;
-        // ignore if we've heard this one before (probably because we set it locally)
-        if (latest && Object.keys(data).every(key => data[key] === latest[key])) return;
+        const frame = frameRect(this.videoElem); // the whole frame, as currently magnified
+        const current = this.shownViewport() || { x: 0, y: 0, width: 1, height: 1 };
+        const size = Math.max(1 / MAX_ZOOM, Math.min(1, current.width / factor));
+        const x = (clientX - frame.left) / frame.width, y = (clientY - frame.top) / frame.height;
+        const scale = size / current.width;
+        this.changeViewport({ x: x - (x - current.x) * scale, y: y - (y - current.y) * scale, width: size, height: size });
+    }
 
-        this.latestPlayState = data;
-        this.applyPlayState(); // will be ignored if we're still initialising
+    // pan by the given distance in pixels, dragging the frame along with the pointer
+    panBy(dx, dy) {
+        const current = this.shownViewport();
+        if (!this.videoView || !current) return;
+
+        const frame = frameRect(this.videoElem);
+        this.changeViewport({ ...current, x: current.x - dx / frame.width, y: current.y - dy / frame.height });
     }
 
-    applyPlayState() {
-        if (!this.videoView || this.waitingForSync) return;
+    // the viewport is kept within the frame, and a viewport of the whole frame is null.  a
+    // viewer who can't change the shared viewport (in presenter mode) goes into free-look mode.
+    changeViewport(viewport) {
+        if (viewport && viewport.width < 1 && viewport.height < 1) {
+            const within = (value, size) => Math.round(Math.max(0, Math.min(1 - size, value)) * 10000) / 10000;
+            viewport = { ...viewport, x: within(viewport.x, viewport.width), y: within(viewport.y, viewport.height) };
+        } else viewport = null;
 
+        if (!this.freeLook && !this.canControl()) this.freeLook = true;
+        if (this.freeLook) this.ownViewport = viewport;
+        else {
+            this.localViewport = viewport;
+            this.localViewportUntil = Date.now() + VIEWPORT_GRACE;
+            this.viewportView.publish(viewport); // throttled
+        }
+        this.viewportChanged();
+    }
+
+    publishViewport(viewport) {
+        this.publish(this.model.id, 'set-viewport', { viewId: this.viewId, viewport });
+    }
+
+    // going into free look starts from the region being shown; coming out of it snaps back to
+    // the shared one
+    setFreeLook(freeLook) {
+        this.ownViewport = freeLook ? this.shownViewport() : null;
+        this.freeLook = freeLook;
+        this.viewportChanged();
+    }
+
+    viewportChanged() {
+        this.applyViewport();
+        this.viewportView.render();
+    }
+
+    // magnify the region being shown to fill the video element's box.  the transform is a uniform
+    // scale, so the overlays that are placed by the element's bounding rectangle (notes, drawings
+    // and pointers) stay in line with the frame.
+    applyViewport() {
         const { videoView, videoElem } = this;
+        if (!videoView) return;
 
-        //console.log("apply playState", {...this.latestPlayState});
-        if (!this.latestPlayState.isPlaying) {
-            this.iconVisible('play', true);
-            this.iconVisible('enableSound', false);
-            videoView.pause(this.latestPlayState.pausedTime);
-        } else {
-            this.iconVisible('play', false);
-            videoElem.playbackRate = 1 + this.playbackBoost * 0.01;
-            this.lastRateAdjust = this.now(); // make sure we don't adjust rate until playback has settled in, and after any emergency jump we decide to do
-            this.jumpIfNeeded = false;
-            // if the video is blocked from playing, enter a stepping mode in which we move the video forward with successive pause() calls
-            videoView.play(this.calculateVideoTime() + 0.1).then(playStarted => {
-                this.iconVisible('enableSound', !playStarted || videoElem.muted);
-                if (playStarted) this.future(250).triggerJumpCheck(); // leave it a little time to stabilise
-                else if (!videoElem.muted) {
-                    console.log(`trying with mute`);
-                    videoElem.muted = true;
-                    this.applyPlayState();
-                } else {
-                    console.log(`reverting to stepped display`);
-                    this.isStepping = true;
-                    this.stepWhileBlocked();
-                }
-            });
+        const viewport = this.shownViewport();
+        const width = videoElem.offsetWidth, height = videoElem.offsetHeight; // unaffected by the transform
+        let key = '';
+        if (viewport && width && height) {
+            const frame = frameRect(videoElem, { left: 0, top: 0, width, height }); // within the untransformed element
+            const left = frame.left + viewport.x * frame.width, top = frame.top + viewport.y * frame.height;
+            const regionWidth = viewport.width * frame.width, regionHeight = viewport.height * frame.height;
+            const scale = Math.min(width / regionWidth, height / regionHeight);
+            const translateX = width / 2 - scale * (left + regionWidth / 2), translateY = height / 2 - scale * (top + regionHeight / 2);
+            key = `translate(${translateX}px, ${translateY}px) scale(${scale})|inset(${top}px ${width - left - regionWidth}px ${height - top - regionHeight}px ${left}px)`;
         }
+        if (key === this.viewportKey) return;
 
-        if (this.latestActionSpec) this.revealAction(this.latestActionSpec);
+        this.viewportKey = key;
+        const [transform, clipPath] = key ? key.split('|') : ['', ''];
+        Object.assign(videoElem.style, { transformOrigin: '0 0', transform, clipPath });
+        this.viewportView.render();
     }
 
-    revealAction(spec) {
-        if (spec.viewId !== this.viewId) {
-            const type = spec.type;
-
-            let element;
-            if (type === 'video') element = this.videoElem;
-            else if (type === 'timebar') element = timebarView.element;
-            else throw new Error(`unknown action type`);
+    /* camera angles */
 
-            const rect = element.getBoundingClientRect();
-            this.useHandToPoint(spec.x * rect.width + rect.left, spec.y * rect.height + rect.top);
+    // load the current video's angles that aren't loaded yet, drop those that have gone, and
+    // realign those whose offsets have changed
+    anglesChanged() {
+        const { asset } = this.model;
+        const angles = this.videoView && asset ? (this.model.angles[asset.hash] || []) : [];
+        for (const angleId of Object.keys(this.angleViews)) {
+            if (!angles.some(angle => angle.id === Number(angleId))) this.disposeOfAngle(angleId);
+        }
+        for (const angle of angles) {
+            const entry = this.angleViews[angle.id];
+            if (!entry && encodingsOf(angle.asset).some(assetIsLoadable)) this.loadAngle(angle);
+            else if (entry && entry.offset !== angle.offset) this.syncAngle(entry, true);
         }
+        this.anglesView.render();
     }
 
-    useHandToPoint(targetX, targetY) {
-        // targetX, Y are page coords.  we need to convert to coords within #container.
-        const hand = this.remoteHandIcon;
-        if (!hand) return;
+    // an angle plays muted, since the sound comes from the main video.  an angle that this
+    // browser can't play is just left out.
+    async loadAngle(angle) {
+        const entry = this.angleViews[angle.id] = { angle, videoView: null, driftController: new DriftController(this.player.options.drift), offset: null, loadAborter: new AbortController() };
+        const { signal } = entry.loadAborter;
+        for (const encoding of encodingsOf(angle.asset).filter(assetIsLoadable)) {
+            if (!canPlayMedia(encoding.mime || encoding.type)) continue;
 
-        if (this.remoteHandTimeout) clearTimeout(this.remoteHandTimeout);
+            let urlObj;
+            try {
+                urlObj = await this.objectURLFor(encoding, signal);
+            } catch (err) {
+                if (signal.aborted) return;
+                throw err;
+            }
+            if (signal.aborted) { urlObj.revoke(); return; }
 
-        const handRect = hand.getBoundingClientRect();
-        const contRect = this.container.getBoundingClientRect();
+            try {
+                const videoView = await (new Video2DView(urlObj.url, urlObj.stream)).readyPromise;
+                if (signal.aborted) { videoView.dispose(); return; }
 
-        // end of finger is around (0.25, 0.15) relative to element size
-        hand.style.left = `${targetX - handRect.width * 0.25 - contRect.left}px`;
-        hand.style.top = `${targetY - handRect.height * 0.15 - contRect.top}px`;
-        this.iconVisible('remoteHand', true);
-        this.remoteHandTimeout = setTimeout(() => this.iconVisible('remoteHand', false), 1000);
+                videoView.video.muted = true;
+                videoView.setLooping(false, null); // an angle is only ever played as its offset from the main video dictates
+                entry.videoView = videoView;
+                this.anglesView.addTile(angle, videoView.video);
+                this.anglesView.render();
+                this.syncAngle(entry, true);
+                return;
+            } catch (err) {
+                urlObj.revoke();
+                if (signal.aborted) return;
+            }
+        }
+        View.displayWarning(`Can't play the angle ${angle.asset.name} in this browser`);
     }
 
-    calculateVideoTime() {
-        const { isPlaying: _isP, startOffset } = this.latestPlayState;
-        // if (!isPlaying) debugger;
+    // keep an angle in step with the main video, at the main video's time plus the angle's
+    // offset.  outside its own duration, an angle shows its first or last frame.  jump forces a
+    // seek, as when the play state or the angle's offset changes.
+    syncAngle(entry, jump = false) {
+        const { videoView, angle, driftController } = entry;
+        if (!videoView || !this.videoView || this.waitingForSync) return;
 
-        const sessionNow = this.now();
-        return (sessionNow - startOffset) / 1000;
-    }
+        const { isPlaying, pausedTime, playbackRate } = this.latestPlayState;
+        const time = this.videoView.wrappedTime(isPlaying ? this.calculateVideoTime() : pausedTime) + angle.offset;
+        entry.offset = angle.offset;
+        if (!isPlaying || time < 0 || time >= videoView.duration) {
+            if (jump || videoView.isPlaying) videoView.pause(Math.max(0, time));
+            return;
+        }
 
-    stepWhileBlocked() {
-        if (!this.isStepping) return; // we've left stepping mode
-        if (!this.videoView.isBlocked) {
-            this.isStepping = false;
+        if (jump || !videoView.isPlaying) {
+            videoView.video.playbackRate = playbackRate;
+            driftController.restart(this.now());
+            videoView.play(time + 0.1 * playbackRate).then(playStarted => {
+                if (playStarted) this.future(250).triggerAngleJumpCheck(angle.id);
+            });
             return;
         }
 
-        this.videoView.setStatic(this.calculateVideoTime());
-        this.future(250).stepWhileBlocked(); // jerky, but keeping up
+        this.correctDrift(videoView, driftController, time);
     }
 
-    handleSyncState(isSynced) {
-        //console.warn(`synced: ${isSynced}`);
-        const wasWaiting = this.waitingForSync;
-        this.waitingForSync = !isSynced;
-        if (wasWaiting && isSynced) this.applyPlayState();
+    triggerAngleJumpCheck(angleId) {
+        const entry = this.angleViews[angleId];
+        if (entry) entry.driftController.armJump();
     }
 
-    handleUserClick(evt) {
-        if (!this.videoView) return;
+    disposeOfAngle(angleId) {
+        const entry = this.angleViews[angleId];
+        entry.loadAborter.abort(); // in case it's still loading
+        if (entry.videoView) {
+            entry.videoView.pause();
+            this.anglesView.removeTile(angleId);
+            entry.videoView.dispose();
+        }
+        delete this.angleViews[angleId];
+    }
 
-        const { videoView, videoElem } = this;
+    handleAngleOffset(angleId, delta) {
+        const { asset } = this.model;
+        const angle = asset && this.model.findAngle(asset.hash, angleId);
+        if (!angle || !this.canControl()) return;
 
-        // if the video is being stepped (i.e., wouldn't even play() when muted),
-        // this click will in theory be able to start it playing.
-        if (this.isStepping) {
-            console.log(`exiting step mode`);
-            videoElem.muted = false;
-            this.isStepping = false;
-            this.applyPlayState();
-            return;
+        const offset = Math.round((angle.offset + delta) * 1000) / 1000;
+        this.publish(this.model.id, 'set-angle-offset', { viewId: this.viewId, hash: asset.hash, angleId, offset });
+    }
+
+    handleRemoveAngle(angleId) {
+        const { asset } = this.model;
+        if (!asset || !this.canControl()) return;
+
+        this.publish(this.model.id, 'remove-angle', { viewId: this.viewId, hash: asset.hash, angleId });
+    }
+
+    // unless the video is looping, tell the model once it has played through
+    checkForEnd() {
+        const { videoView } = this;
+        if (!videoView.isPlaying || videoView.video.loop || this.endReported || this.waitingForSync) return;
+
+        if (this.calculateVideoTime() >= videoView.duration) {
+            this.endReported = true;
+            this.publish(this.model.id, 'video-ended', { entryId: this.entryId, duration: videoView.duration });
         }
+    }
 
-        // if video was playing but is muted (which means we discovered it wouldn't
-        // play unmuted), this click should be able to remove the mute.
-        if (videoElem.muted) {
-            console.log(`unmuting video`);
-            videoElem.muted = false;
-            this.iconVisible('enableSound', false);
+    // once the shared time has entered the A-B loop, send the video back to the loop start
+    // whenever it strays outside the range
+    checkLoopRange() {
+        const { videoView } = this;
+        const range = videoView.loopRange;
+        if (!range || !videoView.isPlaying || videoView.isBlocked) return;
+
+        const expectedTime = videoView.wrappedTime(this.calculateVideoTime());
+        const videoTime = videoView.video.currentTime;
+        if (expectedTime >= range.start && (videoTime >= range.end || videoTime < range.start)) {
+            videoView.setTime(videoView.wrappedTime(this.calculateVideoTime() + 0.1 * this.latestPlayState.playbackRate, true));
+        }
+    }
+
+    // in wait mode, a video that has been stalled for a while holds up everyone else, so that
+    // nobody plays on without this viewer
+    checkForStall() {
+        const { videoView } = this;
+        const stalled = this.model.waitForEveryone && videoView.isPlaying && !videoView.isBlocked && !this.waitingForSync
+            && videoView.video.readyState < HTMLMediaElement.HAVE_FUTURE_DATA;
+        if (!stalled) {
+            this.stalledSince = null;
             return;
         }
 
-        const wantsToPlay = !this.latestPlayState.isPlaying; // toggle
-        if (!wantsToPlay) videoView.pause(); // immediately!
-        const videoTime = videoView.video.currentTime;
-        const sessionTime = this.now(); // the session time corresponding to the video time
-        const startOffset = wantsToPlay ? sessionTime - 1000 * videoTime : null;
-        const pausedTime = wantsToPlay ? 0 : videoTime;
-        this.playStateChanged({ isPlaying: wantsToPlay, startOffset, pausedTime }); // directly from the handler, in case the browser blocks indirect play() invocations
-        // even though the click was on the container, find position relative to video
-        const contRect = this.container.getBoundingClientRect();
-        const rect = videoElem.getBoundingClientRect();
-        const actionSpec = { viewId: this.viewId, type: 'video', x: (evt.offsetX + contRect.left - rect.left)/rect.width, y: (evt.offsetY + contRect.top - rect.top)/rect.height };
-        this.publish(this.model.id, 'set-play-state', { isPlaying: wantsToPlay, startOffset, pausedTime, actionSpec }); // subscribed to by the shared model
+        const now = this.now();
+        if (this.stalledSince === null) this.stalledSince = now;
+        else if (now - this.stalledSince > STALL_REPORT_TIME) {
+            this.stalledSince = null;
+            this.publish(this.model.id, 'viewer-stalled', { viewId: this.viewId });
+        }
     }
 
-    handleTimebar(proportion) {
-        if (!this.videoView) return;
+    // while the model is holding playback (see SyncedVideoModel.holdPlayback), tell it whether
+    // this view is ready to play from the held position - whenever that changes
+    checkReadiness() {
+        const { hold } = this.model;
+        if (!hold) {
+            this.readinessReport = null;
+            return;
+        }
 
-        const wantsToPlay = false;
-        const videoTime = this.videoView.duration * proportion;
-        const startOffset = null;
-        const pausedTime = videoTime;
-        this.playStateChanged({ isPlaying: wantsToPlay, startOffset, pausedTime });
-        const actionSpec = { viewId: this.viewId, type: 'timebar', x: proportion, y: 0.5 };
-        this.publish(this.model.id, 'set-play-state', { isPlaying: wantsToPlay, startOffset, pausedTime, actionSpec }); // subscribed to by the shared model
+        const ready = this.isReadyToPlay(hold.position);
+        const report = this.readinessReport;
+        if (report && report.holdId === hold.id && report.ready === ready) return;
+
+        this.readinessReport = { holdId: hold.id, ready };
+        this.publish(this.model.id, 'report-readiness', { viewId: this.viewId, holdId: hold.id, ready });
     }
 
-    triggerJumpCheck() { this.jumpIfNeeded = true; } // on next checkPlayStatus() that does a timing check
+    // ready means that the video is loaded, and has buffered at least WAIT_BUFFER_AHEAD seconds
+    // from the position.  a viewer that can't play the video at all mustn't hold anyone up.
+    isReadyToPlay(position) {
+        if (this.playbackFailure) return true;
 
-    checkPlayStatus() {
-        if (this.videoView) {
-            this.adjustPlaybar();
+        const { videoView } = this;
+        if (!videoView) return false;
 
-            const lastTimingCheck = this.lastTimingCheck || 0;
-            const now = this.now();
-            // check video timing every 0.5s
-            if (this.videoView.isPlaying && !this.videoView.isBlocked && (now - lastTimingCheck >= 500)) {
-                this.lastTimingCheck = now;
-                const expectedTime = this.videoView.wrappedTime(this.calculateVideoTime());
-                const videoTime = this.videoView.video.currentTime;
-                const videoDiff = videoTime - expectedTime;
-                const videoDiffMS = videoDiff * 1000; // +ve means *ahead* of where it should be
-                if (videoDiff < this.videoView.duration / 2) { // otherwise presumably measured across a loop restart; just ignore.
-                    if (this.jumpIfNeeded) {
-                        this.jumpIfNeeded = false;
-                        // if there's a difference greater than 500ms, try to jump the video to the right place
-                        if (Math.abs(videoDiffMS) > 500) {
-                            console.log(`jumping video by ${-Math.round(videoDiffMS)}ms`);
-                            this.videoView.video.currentTime = this.videoView.wrappedTime(videoTime - videoDiff + 0.1, true); // 0.1 to counteract the delay that the jump itself tends to introduce; true to ensure we're not jumping beyond the last video frame
-                        }
-                    } else {
-                        // every 3s, check video lag/advance, and set the playback rate accordingly.
-                        // current adjustment settings:
-                        //   > 150ms off: set playback 3% faster/slower than normal
-                        //   > 50ms: 1% faster/slower
-                        //   < 25ms: normal (i.e., hysteresis between 50ms and 25ms in the same sense)
-                        const lastRateAdjust = this.lastRateAdjust || 0;
-                        if (now - lastRateAdjust >= 3000) {
-//console.log(`${Math.round(videoDiff*1000)}ms`);
-                            const oldBoostPercent = this.playbackBoost;
-                            const diffAbs = Math.abs(videoDiffMS), diffSign = Math.sign(videoDiffMS);
-                            const desiredBoostPercent = -diffSign * (diffAbs > 150 ? 3 : (diffAbs > 50 ? 1 : 0));
-                            if (desiredBoostPercent !== oldBoostPercent) {
-                                // apply hysteresis on the switch to boost=0.
-                                // for example, if old boost was +ve (because video was lagging),
-                                // and videoDiff is -ve (i.e., it's still lagging),
-                                // and the magnitude (of the lag) is greater than 25ms,
-                                // don't remove the boost yet.
-                                const hysteresisBlock = desiredBoostPercent === 0 && Math.sign(oldBoostPercent) === -diffSign && diffAbs >= 25;
-                                if (!hysteresisBlock) {
-                                    this.playbackBoost = desiredBoostPercent;
-                                    const playbackRate = 1 + this.playbackBoost * 0.01;
-                                    console.log(`video playback rate: ${playbackRate}`);
-                                    this.videoView.video.playbackRate = playbackRate;
-                                }
-                            }
-                            this.lastRateAdjust = now;
-                        }
-                    }
-                }
-            }
+        const { video, duration } = videoView;
+        if (video.seeking || video.readyState < HTMLMediaElement.HAVE_FUTURE_DATA) return false;
+
+        const start = videoView.wrappedTime(position);
+        const end = Math.min(start + WAIT_BUFFER_AHEAD, duration);
+        const { buffered } = video;
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= start + 0.1 && buffered.end(i) >= end - 0.1) return true; // allowing for frame boundaries
         }
+        return false;
+    }
+
+    // tell the model how this view's playback is going, for the roster
+    reportStatus() {
+        const { videoView, latestPlayState } = this;
+        let state;
+        if (this.playbackFailure) state = 'unplayable';
+        else if (!videoView) state = 'loading';
+        else if (this.isStepping) state = 'stepping';
+        else if (!latestPlayState.isPlaying) state = 'paused';
+        else state = this.videoElem.muted ? 'muted' : 'playing';
+        const playing = state === 'playing' || state === 'muted';
+
+        this.publish(this.model.id, 'report-status', {
+            viewId: this.viewId,
+            loaded: !!videoView,
+            state,
+            driftMS: playing ? this.lastDriftMS : null,
+            boost: playing ? this.driftController.boost : 0
+        });
     }
 
     // invoked on every animation frame
@@ -606,14 +3850,41 @@ class SyncedVideoView extends View {
         if (now - this.lastStatusCheck > 100) {
             this.lastStatusCheck = now;
             this.checkPlayStatus();
+            if (!this.waitingForSync) this.checkReadiness();
+        }
+        if (now - this.lastStatusReport > STATUS_REPORT_INTERVAL && !this.waitingForSync) {
+            this.lastStatusReport = now;
+            this.reportStatus();
         }
     }
 
     detach() {
         super.detach(); // will discard any outstanding future() messages
+        if (this.clipRecording) this.clipRecording.cancelled = true;
+        this.tearDownMediaSession();
         this.disposeOfVideo();
-        dragDropHandler.setView(null);
-        timebarView.setView(null);
+        this.dragDropHandler.setView(null);
+        this.timebarView.setView(null);
+        this.thumbnailView.setView(null);
+        this.keyboardHandler.setView(null);
+        this.playlistView.setView(null);
+        this.uploadsView.setView(null);
+        this.speedView.setView(null);
+        this.endModeView.setView(null);
+        this.annotationView.setView(null);
+        this.telestrationView.setView(null);
+        this.pointersView.setView(null);
+        this.captionsView.setView(null);
+        this.rosterView.setView(null);
+        this.historyView.setView(null);
+        this.clipView.setView(null);
+        this.playabilityView.setView(null);
+        this.waitingView.setView(null);
+        this.cacheView.setView(null);
+        this.anglesView.setView(null);
+        this.screenModesView.setView(null);
+        this.viewportView.setView(null);
+        this.player.detachView(this);
     }
 
     disposeOfVideo() {
@@ -623,7 +3894,11 @@ class SyncedVideoView extends View {
             delete this.abandonLoad;
         }
 
-        // and dispose of any already-loaded element
+        // and dispose of any already-loaded element, its other angles, and its preview decoder
+        Object.keys(this.angleViews).forEach(angleId => this.disposeOfAngle(angleId));
+        this.anglesView.render();
+        this.thumbnailView.setSource(null);
+        this.makeSecondSource = null;
         if (this.videoView) {
             this.videoView.pause();
             const elem = this.videoView.video;
@@ -631,53 +3906,468 @@ class SyncedVideoView extends View {
             this.videoView.dispose();
             this.videoView = null;
         }
+        Object.values(this.captionTracks).forEach(track => track.src && URL.revokeObjectURL(track.src));
+        this.captionTracks = {};
+        this.screenModesView.render();
+    }
+
+    playlistChanged() {
+        this.playlistView.render();
+        const { playlist, currentEntryId } = this.model;
+        this.player.emit('playlistchange', { entries: playlist.map(({ id, asset }) => ({ id, name: asset.name, current: id === currentEntryId })) });
+    }
+
+    // publish a history operation ('jump-to-action' or 'undo-seek') to the shared model
+    handleHistory(event, data) {
+        if (!this.canControl()) return;
+        this.publish(this.model.id, event, { viewId: this.viewId, ...data });
+    }
+
+    // publish a playlist operation ('select-entry', 'move-entry' etc) to the shared model
+    handlePlaylist(event, data) {
+        if (!this.canControl()) return;
+        this.publish(this.model.id, event, { viewId: this.viewId, ...data });
     }
 
     iconVisible(iconName, bool) {
         this[`${iconName}Icon`].style.opacity = bool ? 1 : 0;
     }
 
-    async addFile(file) {
-        if (!file.type.startsWith('video/')) {
+    // dropped files are checked against UPLOAD_LIMITS straight away, then uploaded one at a time.
+    // each upload is listed in the model from the start, so that everyone can follow its progress.
+    // with asAlternate, the file is added as another encoding of the current video, for browsers
+    // that can't play the original, and with asAngle, as another camera angle of it (see
+    // SyncedVideoModel.addAngle); with select, it becomes the current video once it's added.
+    // a clip's source is { hash, start, end } of the video it was recorded from.  returns false,
+    // having reported why, if the file was refused.
+    addFile(file, { asAlternate = false, asAngle = false, select = false, source = null } = {}) {
+        const alternateOf = asAlternate && this.model.asset ? this.model.asset.hash : null;
+        if (asAlternate && (!alternateOf || this.model.asset.url)) {
+            View.displayWarning(`Alternate encodings can only be added to an uploaded video`);
+            return false;
+        }
+        const angleOf = asAngle && !asAlternate && this.model.asset ? this.model.asset.hash : null;
+        if (asAngle && !asAlternate && !angleOf) {
+            View.displayWarning(`Add a video before its other camera angles`);
+            return false;
+        }
+        if (!this.canControl()) {
+            View.displayWarning(`Only the presenter can add videos`);
+            return false;
+        }
+        if (!UPLOAD_LIMITS.types.some(type => file.type.startsWith(type))) {
             View.displayWarning(`Not a video: "${file.name}" (${file.type})`);
+            return false;
+        }
+        if (file.size > UPLOAD_LIMITS.maxSize) {
+            View.displayWarning(`Too big to upload: "${file.name}" is ${Math.round(file.size / 1024 / 1024)}MB; the limit is ${Math.round(UPLOAD_LIMITS.maxSize / 1024 / 1024)}MB`);
+            return false;
+        }
+
+        const upload = { uploadId: `${this.viewId}:${this.nextUploadNumber++}`, file, alternateOf, angleOf, select, source, cancelled: false };
+        this.uploadQueue.push(upload);
+        this.publish(this.model.id, 'upload-started', { viewId: this.viewId, uploadId: upload.uploadId, name: file.name, size: file.size });
+        if (this.uploadQueue.length === 1) this.runUploads();
+        return true;
+    }
+
+    async runUploads() {
+        while (this.uploadQueue.length) {
+            const upload = this.uploadQueue[0];
+            try {
+                await this.upload(upload);
+            } catch (err) {
+                console.error(err);
+                const error = err.message || String(err);
+                View.displayWarning(`Upload of ${upload.file.name} failed: ${error}`);
+                this.publish(this.model.id, 'upload-failed', { viewId: this.viewId, uploadId: upload.uploadId, error });
+            }
+            this.uploadQueue.shift();
+        }
+    }
+
+    // the model rolls back whatever has been published of the upload so far
+    cancelUpload(uploadId) {
+        const upload = this.uploadQueue.find(u => u.uploadId === uploadId);
+        if (upload) upload.cancelled = true;
+        this.publish(this.model.id, 'upload-cancelled', { viewId: this.viewId, uploadId });
+    }
+
+    // the file is read and stored in chunks of CHUNK_SIZE bytes, so that it never has to be held
+    // in memory all at once, and so that other views can start playing it as soon as the first
+    // chunks have been stored.  the asset's hash is derived from the hashes of its chunks, so
+    // the whole file is read and hashed before a file that has been uploaded before (whose
+    // chunks have all been stored) is recognised, and not stored again.
+    async upload(upload) {
+        const { uploadId, file, alternateOf, angleOf, select, source } = upload;
+        if (upload.cancelled) return;
+
+        const chunkCount = Math.max(1, Math.ceil(file.size / CHUNK_SIZE));
+        const readChunk = index => file.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE).arrayBuffer();
+        const progress = (phase, chunks) => this.publish(this.model.id, 'upload-progress', { viewId: this.viewId, uploadId, phase, done: Math.min(file.size, chunks * CHUNK_SIZE) });
+
+        View.displayStatus(`Reading ${file.name}`);
+        progress('reading', 0);
+        const firstChunk = await readChunk(0);
+        const lastChunk = chunkCount > 1 ? await readChunk(chunkCount - 1) : firstChunk;
+        const firstHash = Data.hash(firstChunk);
+        const lastHash = Data.hash(lastChunk);
+        // the codecs, so that other views can tell whether they can play the file before fetching it
+        const parts = [{ data: firstChunk, fileStart: 0 }];
+        if (chunkCount > 1) parts.push({ data: lastChunk, fileStart: (chunkCount - 1) * CHUNK_SIZE });
+        const mime = fullMediaType(file.type, parts);
+        if (upload.cancelled) return;
+
+        const chunkHashes = [firstHash];
+        for (let i = 1; i < chunkCount; i++) {
+            chunkHashes.push(i === chunkCount - 1 ? lastHash : Data.hash(await readChunk(i)));
+            if (upload.cancelled) return;
+            progress('reading', i + 1);
+        }
+        const hash = Data.hash(chunkHashes.join(','));
+        const isComplete = handles => Array.isArray(handles) && handles.every(handle => handle);
+
+        const asset = { hash, type: file.type, mime, size: file.size, name: file.name, chunkSize: CHUNK_SIZE, chunkCount };
+        if (source) asset.source = source;
+        this.publish(this.model.id, "add-asset", { viewId: this.viewId, uploadId, alternateOf, angleOf, select, ...asset });
+        if (isComplete(this.model.handles[hash])) return; // already uploaded; the model finishes the upload
+
+        View.displayStatus(`Encrypting and uploading ${file.name}`);
+        for (let i = 0; i < chunkCount; i++) {
+            const data = await readChunk(i);
+            this.player.cache.put(hash, i, data.slice(0)); // a copy, because Data.store detaches the buffer
+            const handle = await Data.store(this.sessionId, data);
+            if (upload.cancelled) return;
+            this.publish(this.model.id, "stored-chunk", { hash, index: i, handle });
+            progress('storing', i + 1);
+        }
+    }
+
+    // a URL asset is played straight from its server (which must allow cross-origin requests),
+    // so nothing is stored.  its hash, which keys its notes and captions, is that of the url.
+    // returns false, having reported why, if the URL was refused
+    addURL(url, { select = false, asAngle = false } = {}) {
+        if (!this.canControl()) {
+            View.displayWarning(`Only the presenter can add videos`);
+            return false;
+        }
+        const angleOf = asAngle && this.model.asset ? this.model.asset.hash : null;
+        if (asAngle && !angleOf) {
+            View.displayWarning(`Add a video before its other camera angles`);
+            return false;
+        }
+        if (!isHTTPURL(url)) {
+            View.displayWarning(`Not an http(s) URL: ${url}`);
+            return false;
+        }
+
+        const { hostname, pathname } = new URL(url);
+        let name;
+        try { name = decodeURIComponent(pathname.split('/').pop()) || hostname; } catch (e) { name = hostname; } // e.g., a stray % in the path
+        const asset = { hash: Data.hash(url), url, type: mediaTypeForURL(url), name };
+        this.publish(this.model.id, "add-asset", { viewId: this.viewId, select, angleOf, ...asset });
+        return true;
+    }
+
+    promptForURL() {
+        const text = window.prompt('Video URL (mp4, webm, HLS .m3u8 or DASH .mpd):');
+        if (!text) return;
+
+        const urls = videoURLsIn(text);
+        if (!urls.length) View.displayWarning(`Not an http(s) URL: ${text}`);
+        urls.forEach(url => this.addURL(url));
+    }
+
+    // captions are linked to whatever video is current when they are dropped
+    async addCaptionFile(file) {
+        if (!this.canControl()) {
+            View.displayWarning(`Only the presenter can add captions`);
             return;
         }
-        const data = await new Promise(resolve => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.readAsArrayBuffer(file);
+        const { asset } = this.model;
+        if (!asset) {
+            View.displayWarning(`Drop a video before its captions ("${file.name}")`);
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            const vtt = /\.srt$/i.test(file.name) ? srtToVtt(text) : text;
+            const handle = await Data.store(this.sessionId, vtt);
+            this.publish(this.model.id, "add-caption", { viewId: this.viewId, hash: asset.hash, name: file.name, language: captionLanguage(file.name), handle });
+        } catch (err) {
+            console.error(err);
+            View.displayWarning(`Upload of ${file.name} failed: ${err.message || err}`);
+        }
+    }
+
+    chunkStored({ hash, index }) {
+        const key = `${hash}:${index}`;
+        const waiters = this.chunkWaiters[key];
+        if (!waiters) return;
+
+        delete this.chunkWaiters[key];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // fetch one chunk of a chunked asset - from the local cache if it's there, otherwise from the
+    // session's data, first waiting for it to be stored if necessary.  if the optional signal is
+    // aborted while waiting, the fetch is rejected.
+    async fetchChunk(asset, index, signal) {
+        const cached = await this.player.cache.get(asset.hash, index);
+        if (cached) return cached;
+
+        if (!asset.chunks[index]) await this.chunkStoredPromise(`${asset.hash}:${index}`, signal);
+        return this.fetchData(asset.hash, index, asset.chunks[index]);
+    }
+
+    // fetch every chunk of a chunked asset, FULL_FETCH_CONCURRENCY at a time, rather than asking
+    // for all of a long video's chunks at once.  rejects if the optional signal is aborted.
+    async fetchAllChunks(asset, signal) {
+        const data = new Array(asset.chunks.length);
+        let next = 0;
+        const fetchNext = async () => {
+            while (next < data.length) {
+                if (signal) signal.throwIfAborted();
+                const index = next++;
+                data[index] = await this.fetchChunk(asset, index, signal);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(FULL_FETCH_CONCURRENCY, data.length) }, fetchNext));
+        return data;
+    }
+
+    // resolves once the chunk with the given "hash:index" key has been stored (see chunkStored)
+    chunkStoredPromise(key, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            (this.chunkWaiters[key] || (this.chunkWaiters[key] = [])).push(resolve);
+            if (signal) signal.addEventListener('abort', () => {
+                const waiters = (this.chunkWaiters[key] || []).filter(waiter => waiter !== resolve);
+                if (waiters.length) this.chunkWaiters[key] = waiters;
+                else delete this.chunkWaiters[key];
+                reject(signal.reason);
+            }, { once: true });
         });
-        View.displayStatus(`Encrypting and uploading ${file.name}`);
-        const hash = Data.hash(data);
-        const asset = { hash, type: file.type, size: data.byteLength, name: file.name };
-        this.publish(this.model.id, "add-asset", asset);
-        const handle = this.model.handles[hash] || await Data.store(this.sessionId, data);
-        this.publish(this.model.id, "stored-data", { hash, handle });
     }
 
-    async objectURLFor(asset) {
-        const data = await Data.fetch(this.sessionId, asset.handle);
-        const blob = new Blob([data], { type: asset.type });
+    // fetch and decrypt data from the session, adding it to the local cache
+    async fetchData(hash, index, handle) {
+        const data = await Data.fetch(this.sessionId, handle);
+        this.player.cache.put(hash, index, data);
+        return data;
+    }
+
+    // returns an object { url, revoke, stream }.  stream is only supplied for chunked assets
+    // that can be played progressively, and for HLS and DASH manifests; otherwise an uploaded
+    // asset is fetched in full up front (rejecting if the optional signal is aborted meanwhile),
+    // and a URL asset is left to the video element.
+    async objectURLFor(asset, signal) {
+        if (asset.url) {
+            if (isManifestType(asset.type)) {
+                const stream = new ManifestStream(asset.url, asset.type);
+                const revoke = () => { stream.dispose(); return null; };
+                return { url: null, revoke, stream };
+            }
+            return { url: asset.url, revoke: () => null, stream: null }; // played straight from its server
+        }
+
+        if (asset.chunks && canStream(asset.type)) {
+            const stream = new ChunkedMediaStream(asset, (index, signal) => this.fetchChunk(asset, index, signal));
+            const revoke = () => { stream.dispose(); return null; };
+            return { url: stream.url, revoke, stream };
+        }
+
+        const data = asset.chunks
+            ? await this.fetchAllChunks(asset, signal)
+            : [await this.player.cache.get(asset.hash, 0) || await this.fetchData(asset.hash, 0, asset.handle)]; // an unchunked upload from an earlier version of the app
+        const blob = new Blob(data, { type: asset.type });
         const url = URL.createObjectURL(blob);
         const revoke = () => { URL.revokeObjectURL(url); return null; }; // return null to support "urlObj.revoke() || result" usage
-        return { url, revoke };
+        return { url, revoke, stream: null };
     }
 }
 
-async function go() {
-    App.messages = true;
-    App.makeWidgetDock();
+// a synced video player, mounted on a host element that it fills with its own shadow root, and
+// joined to a Croquet session.  options are as in DEFAULT_PLAYER_OPTIONS.  any number of players
+// can be mounted on a page, each in its own session (or in the same one, like separate tabs).
+//
+// the player dispatches these events on its host element, with details as given:
+//   ready: the player has joined (or, after being dormant, rejoined) its session
+//   assetchange: the shared current video has changed - { hash, type, name, url }, or null
+//   statechange: the shared play state has changed - { playing, time, playbackRate }
+//   playlistchange: the shared playlist has changed - { entries: [{ id, name, current }] }
+export class SyncedPlayer {
+    constructor(host, options = {}) {
+        this.element = host;
+        this.options = { ...DEFAULT_PLAYER_OPTIONS, ...options };
+        const root = this.root = host.shadowRoot || host.attachShadow({ mode: 'open' }); // a host can be given a new player after leaving
+        root.innerHTML = PLAYER_TEMPLATE;
+        if (!host.hasAttribute('tabindex')) host.tabIndex = 0; // for the keyboard shortcuts, and pasting
 
-    Session.join({
-        appId: "com.example.video_demo",   // replace with your own appId!
-        name: App.autoSession(),
-        password: App.autoPassword({keyless: true}),
-        model: SyncedVideoModel,
-        view: SyncedVideoView,
-        tps: 4,
-        autoSleep: !KEEP_HIDDEN_TABS_ALIVE
-    });
+        this.components = {
+            dragDropHandler: new DragDropHandler(host, root),
+            keyboardHandler: new KeyboardHandler(host),
+            timebarView: new TimeBarView(root),
+            thumbnailView: new ThumbnailView(root),
+            keepPlayingView: new KeepPlayingView(root),
+            playlistView: new PlaylistView(root),
+            uploadsView: new UploadsView(root),
+            speedView: new SpeedView(root),
+            endModeView: new EndModeView(root),
+            annotationView: new AnnotationView(root),
+            telestrationView: new TelestrationView(root),
+            pointersView: new PointersView(root),
+            captionsView: new CaptionsView(root),
+            rosterView: new RosterView(root),
+            historyView: new HistoryView(root),
+            clipView: new ClipView(root),
+            playabilityView: new PlayabilityView(root),
+            waitingView: new WaitingView(root),
+            cacheView: new CacheView(root),
+            anglesView: new AnglesView(root),
+            screenModesView: new ScreenModesView(host, root),
+            viewportView: new ViewportView(root)
+        };
+        this.cache = new ChunkCache(this.options.cacheSize); // outlives the view, which is rebuilt whenever a dormant tab wakes
+        this.view = null; // while the session is being joined, or the tab is dormant
+        this.viewWaiters = [];
+
+        // Croquet constructs the view itself (and constructs a new one whenever a dormant tab
+        // wakes up), so this player's view class is one that knows the player
+        const player = this;
+        const { appId, name, password, tps, autoSleep } = this.options;
+        this.sessionPromise = Session.join({
+            appId,
+            name: name || App.autoSession(),
+            password: password || App.autoPassword({keyless: true}),
+            model: SyncedVideoModel,
+            view: class extends SyncedVideoView {
+                constructor(model) { super(model, player); }
+            },
+            tps,
+            autoSleep
+        });
+    }
+
+    attachView(view) {
+        this.view = view;
+        this.viewWaiters.splice(0).forEach(resolve => resolve(view));
+        this.emit('ready', null);
+    }
+
+    detachView(view) {
+        if (this.view === view) this.view = null;
+    }
+
+    // resolves with the current view, once there is one
+    currentView() {
+        if (this.view) return Promise.resolve(this.view);
+        return new Promise(resolve => this.viewWaiters.push(resolve));
+    }
+
+    emit(type, detail) {
+        this.element.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    // add a video to the shared playlist, and make it the current one.  source is a File, or
+    // the http(s) URL of a video on a web server.  resolves to false if it was refused (as
+    // reported in the player's status line): in presenter mode unless this viewer is a host, or
+    // if the URL isn't valid or the file isn't an acceptable video.
+    async load(source) {
+        const view = await this.currentView();
+        if (typeof source === 'string') return view.addURL(source, { select: true });
+        return view.addFile(source, { select: true });
+    }
+
+    // play, pause and seek (to a time in seconds) apply to everyone in the session.  each
+    // resolves to false if it was refused: in presenter mode unless this viewer is a host, or
+    // if no video has been loaded yet.
+    async play() {
+        return (await this.currentView()).requestPlay();
+    }
+
+    async pause() {
+        return (await this.currentView()).requestPause();
+    }
+
+    async seek(time) {
+        return (await this.currentView()).requestSeek(time);
+    }
+
+    // the shared play state, as in the statechange event, or null until the session has been joined
+    getState() {
+        return this.view && this.view.latestPlayState ? this.view.playState() : null;
+    }
+
+    // empty this browser's cache of video data, which is shared by every player and session of the app
+    clearCache() {
+        return this.cache.clear();
+    }
+
+    // leave the session, and remove everything that the player added outside its own shadow
+    // root (which a new player on the same host replaces)
+    async leave() {
+        try {
+            const session = await this.sessionPromise;
+            await session.leave();
+        } finally {
+            Object.values(this.components).forEach(component => component.dispose && component.dispose());
+        }
+    }
+}
 
+// mount a player in a new element filling the given container
+export function mountSyncedPlayer(container, options) {
+    const host = document.createElement('div');
+    host.style.width = host.style.height = '100%';
+    container.appendChild(host);
+    return new SyncedPlayer(host, options);
 }
 
-go();
+// <synced-video app-id="..." session="..." password="...">, which mounts a player (available as
+// its player property) when it is added to the page, and offers the same controls.  the player
+// leaves its session when the element is removed from the page, and a new one joins if the
+// element is put back.
+export class SyncedVideoElement extends HTMLElement {
+    connectedCallback() {
+        if (this.player) return; // just moved
+
+        const options = {};
+        const attributes = { appId: 'app-id', name: 'session', password: 'password' };
+        for (const [option, attribute] of Object.entries(attributes)) {
+            if (this.hasAttribute(attribute)) options[option] = this.getAttribute(attribute);
+        }
+        this.player = new SyncedPlayer(this, options);
+    }
+
+    // a move within the page disconnects the element and connects it again straight away, so
+    // only an element that is still out of the page once that's over is taken to be removed
+    disconnectedCallback() {
+        queueMicrotask(() => {
+            if (this.isConnected || !this.player) return;
+
+            this.player.leave().catch(err => console.error(err));
+            this.player = null;
+        });
+    }
+
+    // the player, to be given a control, or a rejection if the element isn't on the page
+    withPlayer(control) {
+        if (!this.player) return Promise.reject(Error('<synced-video> has no player until it is added to the page'));
+        return control(this.player);
+    }
+
+    load(source) { return this.withPlayer(player => player.load(source)); }
+
+    play() { return this.withPlayer(player => player.play()); }
+
+    pause() { return this.withPlayer(player => player.pause()); }
+
+    seek(time) { return this.withPlayer(player => player.seek(time)); }
+}
+if (!customElements.get('synced-video')) customElements.define('synced-video', SyncedVideoElement);
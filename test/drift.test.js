@@ -0,0 +1,74 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// the DriftController in src/drift.js: its fixed rules, and the drift that each strategy in
+// sim/drift-sim.js achieves on each simulated scenario, held to the harness's LIMITS (as
+// `npm run sim -- --check` does).
+//
+//   npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DriftController } from "../src/drift.js";
+import { SCENARIOS, STRATEGIES, LIMITS, simulate } from "../sim/drift-sim.js";
+
+test('a far-out video is only jumped on the check after armJump, unless resync is set', () => {
+    const controller = new DriftController();
+    assert.equal(controller.update(500, 5000), null);
+    controller.armJump();
+    assert.deepEqual(controller.update(1000, 600), { jump: true });
+
+    const resyncing = new DriftController({ resyncThreshold: 1000 });
+    assert.deepEqual(resyncing.update(500, 5000), { jump: true });
+    assert.equal(resyncing.update(1000, 900), null);
+});
+
+test('an armed jump is skipped if the video is close enough', () => {
+    const controller = new DriftController();
+    controller.armJump();
+    assert.equal(controller.update(500, 400), null);
+    assert.equal(controller.jumpArmed, false);
+});
+
+test('the step strategy boosts by drift, every adjustInterval, with hysteresis', () => {
+    const controller = new DriftController();
+    assert.equal(controller.update(1000, -200), null); // too soon after the restart
+    assert.deepEqual(controller.update(3000, -200), { boost: 3 });
+    assert.equal(controller.update(4000, -100), null);
+    assert.deepEqual(controller.update(6000, -100), { boost: 1 });
+    assert.equal(controller.update(9000, -30), null); // still lagging by more than the hysteresis
+    assert.deepEqual(controller.update(12000, -10), { boost: 0 });
+    assert.deepEqual(controller.update(15000, 60), { boost: -1 });
+});
+
+test('the pid strategy keeps its boost within maxPercent', () => {
+    const controller = new DriftController({ strategy: 'pid' });
+    for (let now = 500; now <= 30000; now += 500) {
+        controller.update(now, -2000);
+        assert.ok(Math.abs(controller.boost) <= 3);
+    }
+    assert.equal(controller.boost, 3);
+});
+
+for (const [strategyName, strategy] of Object.entries(STRATEGIES)) {
+    test(`the ${strategyName} strategy keeps within its limits on every scenario`, () => {
+        for (const [scenarioName, scenario] of Object.entries(SCENARIOS)) {
+            const limit = LIMITS[strategyName][scenarioName];
+            const { mean, p95 } = simulate(scenario, strategy);
+            assert.ok(mean <= limit.mean && p95 <= limit.p95, `${scenarioName}: mean ${mean} / p95 ${p95} exceeds ${limit.mean} / ${limit.p95}`);
+        }
+    });
+}
@@ -0,0 +1,145 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// the persisted session format: migrations from each earlier version, and the round trip from
+// the model's state through persistedData and restoredState (which SyncedVideoModel's
+// getEverything and restoreEverything are built on).  data handles are stood in for by objects
+// holding their ids.
+//
+//   npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PERSISTED_VERSION, migratePersistedData, persistedData, restoredState } from "../src/persistence.js";
+
+const handleId = handle => handle.id;
+const handleFromId = id => ({ id });
+
+const fileA = { hash: 'hashA', type: 'video/mp4', size: 1000, name: 'a.mp4' };
+const fileB = { hash: 'hashB', type: 'video/webm', size: 2000, name: 'b.webm' };
+
+test('version 0 (a single asset) migrates to the current version', () => {
+    const data = migratePersistedData({ asset: fileA, handles: [['hashA', 'idA']] });
+    assert.equal(data.version, PERSISTED_VERSION);
+    assert.deepEqual(data.playlist, [fileA]);
+    assert.equal(data.currentIndex, 0);
+    assert.deepEqual(data.handles, [['hashA', 'idA']]);
+    assert.deepEqual(data.positions, []);
+    assert.equal(data.playbackRate, 1);
+    assert.equal(data.endMode, 'advance');
+    assert.equal(data.loopRange, null);
+    assert.deepEqual(data.annotations, []);
+    assert.deepEqual(data.captions, []);
+    assert.equal(data.waitForEveryone, false);
+    assert.deepEqual(data.angles, []);
+});
+
+test('version 1 (a playlist, with the current asset as a copy) migrates to the current version', () => {
+    const annotations = [['hashB', [{ time: 3, x: null, y: null, text: 'here' }]]];
+    const captions = [['hashB', [{ name: 'en.vtt', language: 'en', handle: 'idC' }]]];
+    const data = migratePersistedData({ asset: fileB, playlist: [fileA, fileB], handles: [['hashA', 'idA'], ['hashB', 'idB']], annotations, captions });
+    assert.equal(data.version, PERSISTED_VERSION);
+    assert.deepEqual(data.playlist, [fileA, fileB]);
+    assert.equal(data.currentIndex, 1);
+    assert.deepEqual(data.annotations, annotations);
+    assert.deepEqual(data.captions, captions);
+    assert.equal(data.endMode, 'advance');
+    assert.deepEqual(data.angles, []);
+
+    assert.equal(migratePersistedData({ playlist: [], handles: [] }).currentIndex, -1);
+});
+
+test('version 2 migrates to the current version, keeping its settings', () => {
+    const v2 = {
+        version: 2,
+        playlist: [fileA],
+        currentIndex: 0,
+        handles: [['hashA', 'idA']],
+        positions: [['hashA', 12.5]],
+        playbackRate: 1.5,
+        endMode: 'loop',
+        loopRange: { start: 1, end: 4 },
+        annotations: [],
+        captions: []
+    };
+    const data = migratePersistedData(v2);
+    assert.deepEqual(data, { ...v2, version: PERSISTED_VERSION, waitForEveryone: false, angles: [] });
+});
+
+test('version 5 migrates to the current version, dropping upload fingerprints', () => {
+    const v5 = {
+        version: 5,
+        playlist: [fileA],
+        currentIndex: 0,
+        handles: [['hashA', 'idA']],
+        fingerprints: [['fingerprintA', 'hashA']],
+        positions: [],
+        playbackRate: 1,
+        endMode: 'advance',
+        waitForEveryone: true,
+        loopRange: null,
+        annotations: [],
+        captions: [],
+        angles: []
+    };
+    const { fingerprints, ...rest } = v5;
+    assert.deepEqual(migratePersistedData(v5), { ...rest, version: PERSISTED_VERSION });
+});
+
+test('data from a later version is refused', () => {
+    assert.throws(() => migratePersistedData({ version: PERSISTED_VERSION + 1, playlist: [] }), /only understands/);
+});
+
+test('the model state survives a round trip through persisted data', () => {
+    const chunked = { hash: 'hashC', type: 'video/mp4', mime: 'video/mp4; codecs="avc1.42E01E"', size: 3000, name: 'c.mp4', chunkSize: 1000, chunkCount: 3 };
+    const alternate = { ...fileB, hash: 'hashB2', name: 'b.mp4', type: 'video/mp4' };
+    const angle = { hash: 'hashD', type: 'video/mp4', size: 500, name: 'd.mp4' };
+    const state = {
+        playlist: [{ ...fileA, handle: { id: 'idA' } }, { ...fileB, handle: { id: 'idB' }, alternates: [{ ...alternate, handle: { id: 'idB2' } }] }, chunked],
+        currentIndex: 1,
+        handles: { hashA: { id: 'idA' }, hashB: { id: 'idB' }, hashB2: { id: 'idB2' }, hashC: [{ id: 'c0' }, null, { id: 'c2' }], hashD: { id: 'idD' } },
+        positions: { hashA: 42, hashB: 7.25 },
+        playbackRate: 1.25,
+        endMode: 'stop',
+        waitForEveryone: true,
+        loopRange: { start: 2, end: 5 },
+        annotations: { hashB: [{ id: 1, time: 3, x: 0.5, y: 0.25, text: 'look', viewId: 'view1' }] },
+        captions: { hashB: [{ id: 1, name: 'en.vtt', language: 'en', handle: { id: 'idCaption' } }] },
+        angles: { hashB: [{ id: 1, asset: { ...angle, handle: { id: 'idD' } }, offset: -1.5 }] }
+    };
+
+    const persisted = persistedData(state, handleId);
+    assert.equal(persisted.version, PERSISTED_VERSION);
+    const restored = restoredState(JSON.parse(JSON.stringify(persisted)), handleFromId); // as it would be stored
+
+    const withoutUndefined = value => JSON.parse(JSON.stringify(value));
+    assert.deepEqual(withoutUndefined(restored.playlist), withoutUndefined(state.playlist));
+    assert.equal(restored.currentIndex, state.currentIndex);
+    assert.deepEqual(restored.handles, state.handles);
+    assert.deepEqual(restored.positions, state.positions);
+    assert.equal(restored.playbackRate, state.playbackRate);
+    assert.equal(restored.endMode, state.endMode);
+    assert.equal(restored.waitForEveryone, state.waitForEveryone);
+    assert.deepEqual(restored.loopRange, state.loopRange);
+    assert.deepEqual(restored.annotations, { hashB: [{ time: 3, x: 0.5, y: 0.25, text: 'look' }] }); // ids and viewers are the model's own
+    assert.deepEqual(restored.captions, { hashB: [{ name: 'en.vtt', language: 'en', handle: { id: 'idCaption' } }] });
+    assert.deepEqual(withoutUndefined(restored.angles), { hashB: [{ asset: { ...angle, handle: { id: 'idD' } }, offset: -1.5 }] });
+});
+
+test('a session with nothing in it survives a round trip', () => {
+    const state = { playlist: [], currentIndex: -1, handles: {}, positions: {}, playbackRate: 1, endMode: 'advance', waitForEveryone: false, loopRange: null, annotations: {}, captions: {}, angles: {} };
+    assert.deepEqual(restoredState(persistedData(state, handleId), handleFromId), state);
+});
@@ -0,0 +1,95 @@
+/*
+   Copyright 2020-2021 Croquet Corporation
+
+   Licensed under the Apache License, Version 2.0 (the "License");
+   you may not use this file except in compliance with the License.
+   You may obtain a copy of the License at
+
+       http://www.apache.org/licenses/LICENSE-2.0
+
+   Unless required by applicable law or agreed to in writing, software
+   distributed under the License is distributed on an "AS IS" BASIS,
+   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+   See the License for the specific language governing permissions and
+   limitations under the License.
+*/
+
+// telling the player's own seeks from the browser's: SyncedVideoView.watchNativeControls turns
+// every foreign seek into a requestSeek, which publishes 'set-play-state' for everyone.  the
+// video element is stood in for by an EventTarget with the properties that are looked at.
+//
+//   npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { watchForeignSeeks } from "../src/seeks.js";
+
+// a Video2DView over a fake element, and the seeks that would have been published
+function watched({ loop = true, duration = 60 } = {}) {
+    const video = Object.assign(new EventTarget(), { loop, duration, currentTime: 0 });
+    const videoView = { video, seekTarget: null };
+    const published = [];
+    watchForeignSeeks(videoView, time => published.push(time));
+
+    const playTo = time => {
+        video.currentTime = time;
+        video.dispatchEvent(new Event('timeupdate'));
+    };
+    const seekTo = time => {
+        video.currentTime = time;
+        video.dispatchEvent(new Event('seeking'));
+        video.dispatchEvent(new Event('timeupdate'));
+        video.dispatchEvent(new Event('seeked'));
+    };
+    const setTime = time => { // as Video2DView.setTime does
+        videoView.seekTarget = time;
+        seekTo(time);
+    };
+    return { videoView, published, playTo, seekTo, setTime };
+}
+
+test("the player's own seeks aren't published", () => {
+    const { published, playTo, setTime } = watched();
+    setTime(12);
+    playTo(15);
+    setTime(40);
+    assert.deepEqual(published, []);
+});
+
+test('a seek from the browser controls is published', () => {
+    const { published, playTo, seekTo, setTime } = watched();
+    setTime(12);
+    playTo(15);
+    seekTo(33);
+    assert.deepEqual(published, [33]);
+});
+
+test('a looping element restarting by itself produces no set-play-state', () => {
+    const { videoView, published, playTo, seekTo, setTime } = watched({ loop: true, duration: 60 });
+    setTime(30);
+    for (let time = 30; time < 60; time += 0.25) playTo(time);
+    seekTo(0.02); // the element wraps to the start
+    assert.deepEqual(published, []);
+    assert.equal(videoView.seekTarget, 0.02);
+
+    // and it goes on telling foreign seeks apart afterwards
+    playTo(5);
+    seekTo(20);
+    assert.deepEqual(published, [20]);
+});
+
+test('a seek to the start of an element that is not looping is published', () => {
+    const { published, playTo, seekTo, setTime } = watched({ loop: false, duration: 60 });
+    setTime(30);
+    playTo(59.9);
+    seekTo(0);
+    assert.deepEqual(published, [0]);
+});
+
+test('a seek to the start from the middle of a looping video is published', () => {
+    const { published, playTo, seekTo, setTime } = watched({ loop: true, duration: 60 });
+    setTime(10);
+    playTo(25);
+    seekTo(0);
+    assert.deepEqual(published, [0]);
+});